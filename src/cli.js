@@ -1,202 +1,271 @@
 #!/usr/bin/env node
 
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
-const { spawnSync } = require('child_process');
+const { Console } = require('console');
 const prompts = require('prompts');
 const minimist = require('minimist');
-
-const DEFAULT_CONFIG = {
-  version: 1,
-  codex: {
-    path: 'codex',
-    model: 'gpt-5',
-    fullAuto: true,
-    yolo: false,
-    forceYolo: false,
-    sandbox: 'workspace-write',
-    search: false,
-    extraArgs: []
-  },
-  repo: {
-    requireConfirm: true,
-    warnIfDirty: true,
-    warnIfNonDefaultBranch: true,
-    confirmIfNoRemote: true
-  },
-  branch: {
-    create: true,
-    prefix: '',
-    pattern: 'codex-YYYYMMDD-HHMMSS',
-    useCurrentBranchAsBase: true
-  },
-  prompt: {
-    path: '.codex/CODEX_PROMPT.md',
-    templatePath: '.codex/CODEX_PROMPT.template.md',
-    immutableDuringRun: true,
-    completionKey: 'PROMISE',
-    completionValue: true,
-    exitMessageKey: 'EXIT_MESSAGE'
-  },
-  loop: {
-    maxLoops: 20,
-    confirmMaxLoops: true,
-    stopOnPromise: true,
-    stopOnTestsPass: false,
-    stopOnNoDiff: false,
-    ignoreUntrackedForNoDiff: true
-  },
-  commands: {
-    test: '',
-    build: '',
-    lint: ''
-  },
-  git: {
-    commitEachIteration: true,
-    commitMessageTemplate: 'codex-loop: iter {n} - {summary}',
-    stageOnCommit: 'tracked',
-    allowEmptyCommit: false
-  },
-  logging: {
-    dir: '.codex_logs',
-    commitLogs: false,
-    writeJson: true
-  }
+const {
+  DEFAULT_CONFIG,
+  STOP_TERMS,
+  HOOK_NAMES,
+  run,
+  runShell,
+  parseDuration,
+  git,
+  currentHead,
+  writeJson,
+  deepMerge,
+  readConfigFile,
+  editConfigFile,
+  loadConfigSchema,
+  suggestKey,
+  validateSchema,
+  validateConfigFile,
+  formatConfigErrors,
+  schemaForKey,
+  userConfigPath,
+  loadLayeredConfig,
+  getConfigValue,
+  setConfigValue,
+  unsetConfigValue,
+  parseConfigInput,
+  ensureGitignore,
+  formatTimestamp,
+  trimOutput,
+  firstLineSummary,
+  defaultAnswer,
+  loadResumeState,
+  describeAgentCommand,
+  ensureLogDirs,
+  logIteration,
+  isCommandSet,
+  stopPolicyExpression,
+  writeState,
+  writeRunState,
+  readState,
+  readLogFile,
+  readLogJson,
+  listRunIds,
+  describeRun,
+  formatDuration,
+  gzipRunDir,
+  commitExists,
+  resolveIterationCommits,
+  writeRunReport,
+  writePullRequestDescription,
+  backupRef,
+  saveBackupRef,
+  squashMessage,
+  readTaskSpec,
+  readBatchFile,
+  checkPhases,
+  checkStopPolicy,
+  phaseCommands,
+  listTemplates,
+  validateTaskSpec
+} = require('./core');
+const api = require('./index');
+const { CodexLoopError, ConfigError, GitError } = require('./errors');
+
+const EXIT_CODES = {
+  completed: 0,
+  error: 1,
+  'max-loops': 2,
+  stalled: 3,
+  stopped: 4
 };
 
-function run(cmd, args, options = {}) {
-  return spawnSync(cmd, args, { encoding: 'utf8', ...options });
-}
-
-function runShell(command, options = {}) {
-  return spawnSync(command, { encoding: 'utf8', shell: true, ...options });
-}
-
-function runCodex(cmd, args, options = {}) {
-  const useShell = process.platform === 'win32' && /\.(cmd|bat)$/i.test(cmd);
-  return spawnSync(cmd, args, { encoding: 'utf8', shell: useShell, ...options });
+const SPEC_FLAGS = [
+  ['goal', 'goal'],
+  ['in-scope', 'inScope', true],
+  ['out-scope', 'outScope', true],
+  ['constraint', 'constraints', true],
+  ['accept', 'acceptanceCriteria', true],
+  ['test-cmd', 'commands.test'],
+  ['build-cmd', 'commands.build'],
+  ['lint-cmd', 'commands.lint']
+];
+
+const STREAMED_EVENTS = ['run:start', 'iteration:start', 'phase:start', 'gate:result', 'hook:result', 'commit', 'phase:end', 'iteration:end'];
+
+let eventStream = null;
+// human-readable output; it goes to stderr while stdout carries the event stream
+let out = console;
+
+function taskSpecFromArgs(argv) {
+  const given = SPEC_FLAGS.filter(([flag]) => argv[flag] !== undefined);
+  if (!argv.spec && !given.length) return null;
+  const spec = argv.spec ? deepMerge({}, readTaskSpec(path.resolve(String(argv.spec)))) : {};
+  given.forEach(([flag, key, isList]) => {
+    const values = [].concat(argv[flag]).map(String);
+    setConfigValue(spec, key, isList ? values : values[values.length - 1]);
+  });
+  return validateTaskSpec(spec, argv.spec ? `task spec ${argv.spec}` : 'task spec (pass --goal or --spec)');
 }
 
-function git(args, options = {}) {
-  return run('git', args, options);
+function exitCodeFor(result) {
+  if (result.outcome === 'interrupted') return result.signal === 'SIGINT' ? 130 : 143;
+  return EXIT_CODES[result.outcome] || 0;
 }
 
-function readJson(filePath) {
-  if (!fs.existsSync(filePath)) return null;
-  try {
-    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
-  } catch (err) {
-    return null;
-  }
-}
-
-function writeJson(filePath, data) {
-  fs.mkdirSync(path.dirname(filePath), { recursive: true });
-  fs.writeFileSync(filePath, JSON.stringify(data, null, 2));
+function openEventStream(target) {
+  const toStdout = target === '-';
+  const fd = toStdout ? null : fs.openSync(path.resolve(target), 'w');
+  if (toStdout) out = new Console({ stdout: process.stderr, stderr: process.stderr });
+  const write = (event, data = {}) => {
+    const line = `${JSON.stringify({ event, time: new Date().toISOString(), ...data })}\n`;
+    if (fd === null) process.stdout.write(line);
+    else fs.writeSync(fd, line);
+  };
+  const attach = (loop) => {
+    STREAMED_EVENTS.forEach((name) => loop.on(name, (payload) => write(name, payload)));
+    loop.on('log', ({ runId, level, message }) => {
+      if (level === 'warn') write('warning', { runId, message });
+    });
+    loop.on('stop', (state) => write('stop', { ...state, exitCode: exitCodeFor(state) }));
+    return loop;
+  };
+  return { toStdout, write, attach };
 }
 
-function deepMerge(target, source) {
-  if (!source) return target;
-  const output = { ...target };
-  Object.keys(source).forEach((key) => {
-    if (source[key] && typeof source[key] === 'object' && !Array.isArray(source[key])) {
-      output[key] = deepMerge(output[key] || {}, source[key]);
-    } else {
-      output[key] = source[key];
+function forwardSignals(runs) {
+  let received = null;
+  const onSignal = (signal) => {
+    if (received) {
+      console.error(`\nReceived ${signal} again; exiting without saving.`);
+      runs.forEach((loop) => loop.kill());
+      process.exit(signal === 'SIGINT' ? 130 : 143);
     }
-  });
-  return output;
-}
-
-function ensureGitignore(repoRoot, entries) {
-  const gitignorePath = path.join(repoRoot, '.gitignore');
-  const existing = fs.existsSync(gitignorePath) ? fs.readFileSync(gitignorePath, 'utf8') : '';
-  const missing = entries.filter((entry) => !existing.includes(entry));
-  if (missing.length === 0) return;
-  const newline = existing.endsWith('\n') || existing.length === 0 ? '' : '\n';
-  fs.appendFileSync(gitignorePath, `${newline}${missing.join('\n')}\n`);
-}
-
-function formatTimestamp(date = new Date()) {
-  const pad = (n) => String(n).padStart(2, '0');
-  return `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}-${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`;
+    received = signal;
+    console.warn(`\nReceived ${signal}; stopping the running process and saving the iteration. Press Ctrl-C again to force exit.`);
+    runs.forEach((loop) => loop.interrupt(signal));
+  };
+  process.on('SIGINT', onSignal);
+  process.on('SIGTERM', onSignal);
+  return () => {
+    process.removeListener('SIGINT', onSignal);
+    process.removeListener('SIGTERM', onSignal);
+  };
 }
 
-function detectProjectTypes(repoRoot) {
-  const hits = [];
-  const fileMap = [
-    { file: 'package.json', type: 'Node.js' },
-    { file: 'pyproject.toml', type: 'Python' },
-    { file: 'requirements.txt', type: 'Python' },
-    { file: 'go.mod', type: 'Go' },
-    { file: 'Cargo.toml', type: 'Rust' },
-    { file: 'pom.xml', type: 'Java' },
-    { file: 'build.gradle', type: 'Java' }
-  ];
-  fileMap.forEach(({ file, type }) => {
-    if (fs.existsSync(path.join(repoRoot, file))) hits.push(type);
+function attachPrinter(loop, { label = '', echo = true } = {}) {
+  const tag = label ? `[${label}] ` : '';
+  loop.on('log', ({ level, message }) => {
+    if (level === 'warn') console.warn(`${tag}${message}`);
+    else out.log(`${tag}${message}`);
   });
-  return Array.from(new Set(hits));
+  loop.on('iteration:start', ({ iteration, maxLoops }) => {
+    out.log(`\n${tag}=== codex-loop iteration ${iteration} of ${maxLoops} ===`);
+  });
+  if (eventStream) eventStream.attach(loop);
+  if (echo) {
+    loop.on('output', ({ stream, chunk }) => {
+      (stream === 'stderr' || (eventStream && eventStream.toStdout) ? process.stderr : process.stdout).write(chunk);
+    });
+  }
+  return loop;
 }
 
-function suggestedCommands(projectType) {
-  switch (projectType) {
-    case 'Node.js':
-      return { test: 'npm test', build: 'npm run build', lint: 'npm run lint' };
-    case 'Python':
-      return { test: 'pytest', build: '', lint: 'ruff .' };
-    case 'Go':
-      return { test: 'go test ./...', build: 'go build ./...', lint: '' };
-    case 'Rust':
-      return { test: 'cargo test', build: 'cargo build', lint: 'cargo fmt --check' };
-    case 'Java':
-      return { test: 'mvn test', build: 'mvn -q -DskipTests package', lint: '' };
-    default:
-      return { test: '', build: '', lint: '' };
+async function runLoops(loops) {
+  const dispose = forwardSignals(loops);
+  try {
+    const results = await Promise.all(loops.map((loop) => loop.done));
+    const interrupted = results.find((result) => result.outcome === 'interrupted');
+    if (interrupted) process.exitCode = exitCodeFor(interrupted);
+    else if (results.length === 1) process.exitCode = exitCodeFor(results[0]);
+    return results;
+  } finally {
+    dispose();
   }
 }
 
-function renderTemplate(template, data) {
-  return template.replace(/\{\{(\w+)\}\}/g, (match, key) => {
-    if (Object.prototype.hasOwnProperty.call(data, key)) {
-      return String(data[key]);
+function runConfigCommand(args, { global = false, profiles = [] } = {}) {
+  const [action, key, rawValue] = args.map((arg) => (arg === undefined ? arg : String(arg)));
+  const gitRoot = git(['rev-parse', '--show-toplevel'], { cwd: process.cwd() });
+  const repoRoot = gitRoot.status === 0 ? gitRoot.stdout.trim() : process.cwd();
+  const configPath = global ? userConfigPath() : path.join(repoRoot, '.codex', 'config.json');
+  const schema = loadConfigSchema();
+  const fileConfig = readConfigFile(configPath) || {};
+
+  const requireKey = () => {
+    if (!key) {
+      console.error(`Usage: codex-loop config ${action} <key>${action === 'set' ? ' <value>' : ''}`);
+      process.exit(1);
     }
-    return match;
-  });
-}
-
-function listToBullets(items, fallback = '(none)') {
-  if (!items || items.length === 0) return `- ${fallback}`;
-  return items.map((item) => `- ${item}`).join('\n');
-}
-
-function firstLineSummary(text) {
-  if (!text) return 'updates';
-  const line = text.split(/\r?\n/).find((l) => l.trim().length > 0);
-  if (!line) return 'updates';
-  return line.trim().slice(0, 72);
-}
+    if (!schemaForKey(schema, key)) {
+      const parts = key.split('.');
+      const parent = parts.length > 1 ? schemaForKey(schema, parts.slice(0, -1).join('.')) : schema;
+      const suggestion = parent && parent.properties ? suggestKey(parts[parts.length - 1], Object.keys(parent.properties)) : null;
+      const hint = suggestion ? ` Did you mean ${[...parts.slice(0, -1), suggestion].join('.')}?` : '';
+      console.error(`Unknown config key: ${key}.${hint}`);
+      process.exit(1);
+    }
+  };
 
-function defaultAnswer(question) {
-  if (question.type === 'confirm') {
-    return true;
-  }
-  if (question.type === 'select') {
-    if (question.initial !== undefined) return question.initial;
-    if (question.choices && question.choices.length > 0) return question.choices[0].value;
-    return null;
-  }
-  if (question.type === 'number') {
-    return question.initial !== undefined ? question.initial : 0;
-  }
-  if (question.type === 'list') {
-    if (Array.isArray(question.initial)) return question.initial;
-    if (typeof question.initial === 'string' && question.initial.trim().length > 0) {
-      return question.initial.split(',').map((item) => item.trim()).filter(Boolean);
+  switch (action) {
+    case 'get': {
+      const effective = loadLayeredConfig(repoRoot, { profiles }).config;
+      if (!key) {
+        out.log(JSON.stringify(effective, null, 2));
+        return;
+      }
+      requireKey();
+      const value = getConfigValue(effective, key);
+      out.log(value !== null && typeof value === 'object' ? JSON.stringify(value, null, 2) : String(value));
+      return;
     }
-    return [];
+    case 'set': {
+      requireKey();
+      if (rawValue === undefined) {
+        console.error('Usage: codex-loop config set <key> <value>');
+        process.exit(1);
+      }
+      const value = parseConfigInput(rawValue, schemaForKey(schema, key));
+      const errors = validateSchema(value, schemaForKey(schema, key), key);
+      if (errors.length) {
+        console.error(formatConfigErrors(`Refusing to set ${key}:`, errors));
+        process.exit(1);
+      }
+      setConfigValue(fileConfig, key, value);
+      const fileErrors = validateConfigFile(fileConfig, schema);
+      if (fileErrors.length) {
+        console.error(formatConfigErrors(`Refusing to set ${key}:`, fileErrors));
+        process.exit(1);
+      }
+      editConfigFile(configPath, key, value);
+      out.log(`Set ${key} = ${JSON.stringify(value)} in ${configPath}`);
+      return;
+    }
+    case 'unset': {
+      requireKey();
+      if (!unsetConfigValue(fileConfig, key)) {
+        out.log(`${key} is not set in ${configPath}.`);
+        return;
+      }
+      editConfigFile(configPath, key, undefined);
+      out.log(`Removed ${key} from ${configPath} (default: ${JSON.stringify(getConfigValue(DEFAULT_CONFIG, key))}).`);
+      return;
+    }
+    case 'validate': {
+      const targetPath = key ? path.resolve(key) : configPath;
+      if (!fs.existsSync(targetPath)) {
+        console.error(`Config file not found: ${targetPath}`);
+        process.exit(1);
+      }
+      const errors = validateConfigFile(readConfigFile(targetPath), schema);
+      if (errors.length) {
+        console.error(formatConfigErrors(`${targetPath} has ${errors.length} problem${errors.length === 1 ? '' : 's'}:`, errors));
+        process.exit(1);
+      }
+      out.log(`${targetPath} is valid.`);
+      return;
+    }
+    default:
+      console.error('Usage: codex-loop config <get|set|unset|validate> [key] [value]');
+      process.exit(1);
   }
-  return question.initial !== undefined ? question.initial : '';
 }
 
 function isHelpValue(value) {
@@ -209,15 +278,15 @@ function isHelpValue(value) {
 
 function printHelp(helpText) {
   if (!helpText) return;
-  console.log('\n--- Help ---');
-  console.log(helpText.trim());
-  console.log('------------\n');
+  out.log('\n--- Help ---');
+  out.log(helpText.trim());
+  out.log('------------\n');
 }
 
 async function ask(question, defaultsMode, helpText) {
   if (defaultsMode) return { [question.name]: defaultAnswer(question) };
   while (true) {
-    const response = await prompts(question);
+    const response = await prompts(eventStream && eventStream.toStdout ? { ...question, stdout: process.stderr } : question);
     const value = response[question.name];
     if (isHelpValue(value)) {
       printHelp(helpText);
@@ -227,83 +296,6 @@ async function ask(question, defaultsMode, helpText) {
   }
 }
 
-function extractSection(text, heading) {
-  const pattern = new RegExp(`##\\s+${heading}\\s*\\n([\\s\\S]*?)(?=\\n##\\s|\\n#\\s|$)`, 'i');
-  const match = text.match(pattern);
-  return match ? match[1].trim() : '';
-}
-
-function parseBullets(sectionText) {
-  if (!sectionText) return [];
-  return sectionText
-    .split(/\r?\n/)
-    .map((line) => line.trim())
-    .filter((line) => line.startsWith('- '))
-    .map((line) => line.slice(2).trim())
-    .filter((item) => item && item !== '(none)' && !item.startsWith('<'));
-}
-
-function parseExistingPrompt(promptText) {
-  if (!promptText) return {};
-  const context = extractSection(promptText, 'Context');
-  const goalSection = extractSection(promptText, 'Goal');
-  const inScopeSection = extractSection(promptText, 'In Scope');
-  const outScopeSection = extractSection(promptText, 'Out of Scope');
-  const constraintsSection = extractSection(promptText, 'Constraints');
-  const acceptanceSection = extractSection(promptText, 'Acceptance Criteria');
-  const commandsSection = extractSection(promptText, 'Required Commands');
-  const escapeHatchSection = extractSection(promptText, 'Escape Hatch');
-
-  const projectTypeMatch = context.match(/Project type:\s*(.+)/i);
-  const projectType = projectTypeMatch ? projectTypeMatch[1].trim() : '';
-
-  const testMatch = commandsSection.match(/-\\s*Test:\\s*(.+)/i);
-  const buildMatch = commandsSection.match(/-\\s*Build:\\s*(.+)/i);
-  const lintMatch = commandsSection.match(/-\\s*Lint:\\s*(.+)/i);
-
-  const maxLoopsMatch = escapeHatchSection.match(/iteration\\s+(\\d+)/i);
-  const maxLoops = maxLoopsMatch ? Number(maxLoopsMatch[1]) : undefined;
-
-  const goalLine = goalSection.split(/\r?\n/).find((line) => line.trim().length > 0) || '';
-
-  return {
-    projectType,
-    goal: goalLine.replace(/^[-*]\\s*/, '').trim(),
-    inScope: parseBullets(inScopeSection),
-    outScope: parseBullets(outScopeSection),
-    constraints: parseBullets(constraintsSection),
-    acceptanceCriteria: parseBullets(acceptanceSection),
-    commands: {
-      test: testMatch ? testMatch[1].trim() : '',
-      build: buildMatch ? buildMatch[1].trim() : '',
-      lint: lintMatch ? lintMatch[1].trim() : ''
-    },
-    maxLoops
-  };
-}
-
-function parseScopeFromMarkdown(text) {
-  if (!text) return null;
-  const inScope = parseBullets(extractSection(text, 'In Scope'));
-  const outScope = parseBullets(extractSection(text, 'Out of Scope'));
-  const acceptance = parseBullets(extractSection(text, 'Acceptance Criteria'));
-  const commandsSection = extractSection(text, 'Commands') || extractSection(text, 'Suggested Commands');
-  const testMatch = commandsSection.match(/-\\s*Test:\\s*(.+)/i);
-  const buildMatch = commandsSection.match(/-\\s*Build:\\s*(.+)/i);
-  const lintMatch = commandsSection.match(/-\\s*Lint:\\s*(.+)/i);
-  if (inScope.length === 0 && outScope.length === 0 && acceptance.length === 0 && !commandsSection) return null;
-  return normalizeScopeDraft({
-    inScope,
-    outScope,
-    acceptanceCriteria: acceptance,
-    commands: {
-      test: testMatch ? testMatch[1].trim() : '',
-      build: buildMatch ? buildMatch[1].trim() : '',
-      lint: lintMatch ? lintMatch[1].trim() : ''
-    }
-  });
-}
-
 async function resolveRepoRoot(cwd, config, defaultsMode) {
   const gitRoot = git(['rev-parse', '--show-toplevel'], { cwd });
   if (gitRoot.status === 0) {
@@ -442,12 +434,13 @@ async function confirmRepo(repoRoot, config, defaultsMode) {
   return { repoRoot, branch };
 }
 
-async function maybeCreateBranch(repoRoot, config, dryRun, defaultsMode) {
+async function maybeCreateBranch(repoRoot, config, dryRun, defaultsMode, { force = false, suffix = '' } = {}) {
   let currentBranch = 'unknown';
   const branchResult = git(['rev-parse', '--abbrev-ref', 'HEAD'], { cwd: repoRoot });
   if (branchResult.status === 0) currentBranch = branchResult.stdout.trim();
 
-  if (!config.branch.create) return currentBranch;
+  const kept = { branch: currentBranch, baseBranch: currentBranch, created: false };
+  if (!config.branch.create && !force) return kept;
 
   const { createBranch } = await ask({
     type: 'confirm',
@@ -455,7 +448,7 @@ async function maybeCreateBranch(repoRoot, config, dryRun, defaultsMode) {
     message: 'Create a new branch for this run?',
     initial: true
   }, defaultsMode);
-  if (!createBranch) return currentBranch;
+  if (!createBranch) return kept;
 
   const { prefix } = await ask({
     type: 'text',
@@ -464,371 +457,817 @@ async function maybeCreateBranch(repoRoot, config, dryRun, defaultsMode) {
   }, defaultsMode);
 
   const timestamp = formatTimestamp();
-  const branchName = `${prefix ? `${prefix.trim()}/` : ''}${config.branch.pattern.replace('YYYYMMDD-HHMMSS', timestamp)}`;
+  const branchName = `${prefix ? `${prefix.trim()}/` : ''}${config.branch.pattern.replace('YYYYMMDD-HHMMSS', timestamp)}${suffix ? `-${suffix}` : ''}`;
 
   if (dryRun) {
-    console.log(`[dry-run] would create branch ${branchName} (base: ${currentBranch})`);
+    out.log(`[dry-run] would create branch ${branchName} (base: ${currentBranch})`);
   } else {
     const checkout = git(['checkout', '-b', branchName], { cwd: repoRoot });
     if (checkout.status !== 0) {
-      console.error(checkout.stderr || 'Failed to create branch.');
+      throw new GitError((checkout.stderr || '').trim() || `Failed to create branch ${branchName}.`);
+    }
+  }
+
+  return { branch: branchName, baseBranch: currentBranch, created: !dryRun };
+}
+
+function runReplayIteration(args) {
+  const fixtureDir = args[0] ? String(args[0]) : '';
+  const result = readLogJson(path.join(fixtureDir, 'result.json'));
+  if (!result) {
+    console.error(`No recorded iteration at ${fixtureDir}.`);
+    process.exit(1);
+  }
+  const changes = readLogFile(path.join(fixtureDir, 'changes.patch'));
+  if (changes) {
+    const applied = git(['apply', '--binary', '--whitespace=nowarn', '-'], { cwd: process.cwd(), input: changes });
+    if (applied.status !== 0) {
+      console.error(`Recorded changes in ${fixtureDir} do not apply to the working tree:\n${applied.stderr}`);
       process.exit(1);
     }
   }
+  process.stdout.write(readLogFile(path.join(fixtureDir, 'stdout.txt')) || '');
+  process.stderr.write(readLogFile(path.join(fixtureDir, 'stderr.txt')) || '');
+  process.exitCode = Number.isInteger(result.exitCode) ? result.exitCode : 1;
+}
 
-  return branchName;
+function formatTable(headers, rows) {
+  const cells = [headers, ...rows].map((row) => row.map((cell) => (cell === null || cell === undefined ? '' : String(cell))));
+  const widths = headers.map((_, col) => Math.max(...cells.map((row) => row[col].length)));
+  return cells
+    .map((row) => row.map((cell, col) => (col === row.length - 1 ? cell : cell.padEnd(widths[col]))).join('  '))
+    .join('\n');
 }
 
-async function buildPrompt(repoRoot, branch, config, defaultsMode, options = {}) {
-  const { writePrompt = true } = options;
-  const templatePath = path.join(repoRoot, config.prompt.templatePath);
-  const template = fs.existsSync(templatePath)
-    ? fs.readFileSync(templatePath, 'utf8')
-    : fs.readFileSync(path.join(__dirname, '..', '.codex', 'CODEX_PROMPT.template.md'), 'utf8');
-
-  let existingPrompt = {};
-  const existingPromptPath = path.join(repoRoot, config.prompt.path);
-  if (fs.existsSync(existingPromptPath)) {
-    existingPrompt = parseExistingPrompt(fs.readFileSync(existingPromptPath, 'utf8'));
-  }
-
-  const projectTypes = detectProjectTypes(repoRoot);
-  let projectType = projectTypes[0] || 'Unknown';
-  if (projectTypes.length > 1) {
-    const initialIndex = existingPrompt.projectType
-      ? Math.max(0, projectTypes.indexOf(existingPrompt.projectType))
-      : 0;
-    const { pickedType } = await ask({
-      type: 'select',
-      name: 'pickedType',
-      message: 'Select project type:',
-      choices: projectTypes.map((type) => ({ title: type, value: type })),
-      initial: initialIndex
-    }, defaultsMode);
-    projectType = pickedType || projectType;
-  } else if (existingPrompt.projectType) {
-    projectType = existingPrompt.projectType;
+function runLogsCommand(args, argv, { profiles = [] } = {}) {
+  const [action, runIdArg, ...rest] = args.map((arg) => String(arg));
+  const gitRoot = git(['rev-parse', '--show-toplevel'], { cwd: process.cwd() });
+  const repoRoot = gitRoot.status === 0 ? gitRoot.stdout.trim() : process.cwd();
+  const { config } = loadLayeredConfig(repoRoot, { profiles });
+  const logsDir = path.join(repoRoot, config.logging.dir);
+  const runIds = listRunIds(logsDir);
+
+  const resolveRun = (id) => {
+    if (!id) {
+      console.error(`Usage: codex-loop logs ${action} <runId|last>`);
+      process.exit(1);
+    }
+    const runId = id === 'last' ? runIds[runIds.length - 1] : id;
+    if (!runId || !runIds.includes(runId)) {
+      console.error(`Run not found: ${id} (looked in ${logsDir}).`);
+      process.exit(1);
+    }
+    return runId;
+  };
+
+  switch (action) {
+    case 'list': {
+      if (runIds.length === 0) {
+        out.log(`No runs found in ${logsDir}.`);
+        return;
+      }
+      const rows = runIds.map((runId) => {
+        const run = describeRun(logsDir, runId);
+        return [
+          run.archived ? `${runId} (gz)` : runId,
+          run.branch,
+          run.iterations.length,
+          run.stopReason,
+          formatDuration(run.durationMs),
+          run.startedAt ? run.startedAt.toLocaleString() : '?'
+        ];
+      });
+      out.log(formatTable(['RUN', 'BRANCH', 'ITERS', 'STOP', 'DURATION', 'STARTED'], rows));
+      return;
+    }
+    case 'show': {
+      const run = describeRun(logsDir, resolveRun(runIdArg));
+      if (argv.iter !== undefined) {
+        const iterDir = path.join(run.runDir, `iter-${Number(argv.iter)}`);
+        if (!fs.existsSync(iterDir)) {
+          console.error(`Iteration ${argv.iter} not found in run ${run.runId}.`);
+          process.exit(1);
+        }
+        ['meta.json', 'prompt.md', 'output.txt', 'diff.patch'].forEach((file) => {
+          const text = readLogFile(path.join(iterDir, file));
+          if (text === null) return;
+          out.log(`--- ${file} ---`);
+          out.log(text.replace(/\s+$/, ''));
+          out.log('');
+        });
+        return;
+      }
+      out.log(`Run:       ${run.runId}${run.archived ? ' (gz)' : ''}`);
+      out.log(`Branch:    ${run.branch}`);
+      out.log(`Stop:      ${run.stopReason}`);
+      out.log(`Duration:  ${formatDuration(run.durationMs)}`);
+      out.log(`Logs:      ${run.runDir}`);
+      if (run.iterations.length === 0) return;
+      out.log('');
+      const rows = run.iterations.map(({ iteration, meta }) => {
+        const output = readLogFile(path.join(run.runDir, `iter-${iteration}`, 'output.txt'));
+        const flags = [];
+        if (meta.timeouts && meta.timeouts.length) flags.push('timeout');
+        if (meta.interrupted) flags.push('interrupted');
+        return [
+          iteration,
+          meta.exitCode === null || meta.exitCode === undefined ? '-' : meta.exitCode,
+          formatDuration(meta.durationMs),
+          meta.commit ? meta.commit.slice(0, 8) : '-',
+          [flags.length ? `[${flags.join(', ')}]` : '', output ? firstLineSummary(output) : ''].filter(Boolean).join(' ')
+        ];
+      });
+      out.log(formatTable(['ITER', 'EXIT', 'DURATION', 'COMMIT', 'SUMMARY'], rows));
+      return;
+    }
+    case 'diff': {
+      const run = describeRun(logsDir, resolveRun(runIdArg));
+      const [iterA, iterB] = rest.map(Number);
+      if (!Number.isInteger(iterA) || !Number.isInteger(iterB)) {
+        console.error('Usage: codex-loop logs diff <runId> <iterA> <iterB>');
+        process.exit(1);
+      }
+      const missing = [...new Set([iterA, iterB])].filter((n) => n !== 0 && !run.iterations.some(({ iteration }) => iteration === n));
+      if (missing.length) {
+        const available = [0, ...run.iterations.map(({ iteration }) => iteration)].join(', ');
+        console.error(`Run ${run.runId} has no iteration ${missing.join(' or ')} (it has ${available}).`);
+        process.exit(1);
+      }
+      const commitFor = (n) => {
+        if (n === 0) return run.baseHead;
+        const found = run.iterations.find(({ iteration }) => iteration === n);
+        return found ? found.meta.commit : null;
+      };
+      const commitA = commitFor(iterA);
+      const commitB = commitFor(iterB);
+      const known = (sha) => sha && git(['cat-file', '-e', `${sha}^{commit}`], { cwd: repoRoot }).status === 0;
+      if (known(commitA) && known(commitB)) {
+        out.log(`# git diff ${commitA.slice(0, 8)} (iter ${iterA}) ${commitB.slice(0, 8)} (iter ${iterB})`);
+        process.stdout.write(git(['diff', commitA, commitB], { cwd: repoRoot, maxBuffer: 20 * 1024 * 1024 }).stdout || '');
+        return;
+      }
+      // iteration 0 is the starting commit, so its patch is empty
+      const patchFor = (n) => (n === 0 ? '' : readLogFile(path.join(run.runDir, `iter-${n}`, 'diff.patch')));
+      const patchA = patchFor(iterA);
+      const patchB = patchFor(iterB);
+      const noPatch = [[iterA, patchA], [iterB, patchB]].filter(([, patch]) => patch === null).map(([n]) => n);
+      if (noPatch.length) {
+        console.error(`No commit or diff.patch recorded for iteration ${noPatch.join(' and ')} of run ${run.runId}.`);
+        process.exit(1);
+      }
+      // the patches are compared from a temp folder with the log layout, so the headers read iter-N/diff.patch
+      const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'codex-loop-diff-'));
+      const fileA = `iter-${iterA}/diff.patch`;
+      const fileB = `iter-${iterB}/diff.patch`;
+      [[fileA, patchA], [fileB, patchB]].forEach(([file, patch]) => {
+        fs.mkdirSync(path.join(tmpDir, path.dirname(file)), { recursive: true });
+        fs.writeFileSync(path.join(tmpDir, file), patch);
+      });
+      out.log(`# commits unavailable; comparing diff.patch of iter ${iterA} and iter ${iterB}`);
+      process.stdout.write(git(['diff', '--no-index', fileA, fileB], { cwd: tmpDir, maxBuffer: 20 * 1024 * 1024 }).stdout || '');
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+      return;
+    }
+    case 'prune': {
+      const keep = argv.keep !== undefined ? Number(argv.keep) : null;
+      const olderThanMs = argv['older-than'] !== undefined ? parseDuration(argv['older-than']) : null;
+      if ((keep === null && olderThanMs === null) || Number.isNaN(keep) || Number.isNaN(olderThanMs)) {
+        console.error('Usage: codex-loop logs prune --keep <n> | --older-than <duration, e.g. 30d> [--gzip] [--dry-run]');
+        process.exit(1);
+      }
+      let candidates = runIds;
+      if (keep !== null) candidates = candidates.slice(0, Math.max(0, runIds.length - keep));
+      if (olderThanMs !== null) {
+        const cutoff = Date.now() - olderThanMs;
+        candidates = candidates.filter((runId) => {
+          const startedAt = describeRun(logsDir, runId).startedAt;
+          return startedAt && startedAt.getTime() < cutoff;
+        });
+      }
+      const state = readState(repoRoot);
+      const activeRun = state && !state.stopReason ? state.runId : null;
+      candidates = candidates.filter((runId) => {
+        if (runId !== activeRun) return true;
+        out.log(`Skipping ${runId}: it is the active run in .codex/state.json.`);
+        return false;
+      });
+      if (argv.gzip) candidates = candidates.filter((runId) => !describeRun(logsDir, runId).archived);
+      if (candidates.length === 0) {
+        out.log('Nothing to prune.');
+        return;
+      }
+      candidates.forEach((runId) => {
+        const runDir = path.join(logsDir, runId);
+        if (argv['dry-run']) {
+          out.log(`[dry-run] would ${argv.gzip ? 'gzip' : 'remove'} ${runDir}`);
+        } else if (argv.gzip) {
+          gzipRunDir(runDir);
+          out.log(`Gzipped ${runDir}`);
+        } else {
+          fs.rmSync(runDir, { recursive: true, force: true });
+          out.log(`Removed ${runDir}`);
+        }
+      });
+      return;
+    }
+    default:
+      console.error('Usage: codex-loop logs <list|show|diff|prune> ...');
+      process.exit(1);
   }
+}
 
-  const defaults = suggestedCommands(projectType);
-  const existingCommands = existingPrompt.commands || {};
+function maybeWriteRunReport(repoRoot, config, runId) {
+  if (!config.logging.report) return;
+  const { htmlPath, markdownPath } = writeRunReport(repoRoot, config, runId);
+  out.log(`Report written:\n  ${htmlPath}\n  ${markdownPath}`);
+}
 
-  const helpLink = 'https://github.com/dtolan/codex_ralph#prompt-file-format-planned';
+function runReportCommand(args, argv, { profiles = [] } = {}) {
+  const [runIdArg] = args.map((arg) => String(arg));
+  const gitRoot = git(['rev-parse', '--show-toplevel'], { cwd: process.cwd() });
+  const repoRoot = gitRoot.status === 0 ? gitRoot.stdout.trim() : process.cwd();
+  const { config } = loadLayeredConfig(repoRoot, { profiles });
+  const logsDir = path.join(repoRoot, config.logging.dir);
+  const runIds = listRunIds(logsDir);
+  if (runIds.length === 0) {
+    console.error(`No runs found in ${logsDir}.`);
+    process.exit(1);
+  }
+  const runId = !runIdArg || runIdArg === 'last' ? runIds[runIds.length - 1] : runIdArg;
+  if (!runIds.includes(runId)) {
+    console.error(`Run not found: ${runIdArg} (looked in ${logsDir}).`);
+    process.exit(1);
+  }
+  const { htmlPath, markdownPath } = writeRunReport(repoRoot, config, runId, argv.out ? path.resolve(argv.out) : null);
+  out.log(`Report written:\n  ${htmlPath}\n  ${markdownPath}`);
+}
 
-  const { goal } = await ask({
-    type: 'text',
-    name: 'goal',
-    message: 'Describe the goal:',
-    initial: existingPrompt.goal || ''
-  }, defaultsMode, `Goal: A short statement of the desired outcome.\nExample: \"Add a --dry-run flag and document it.\"`);
+function loadRunLogs(profiles) {
+  const gitRoot = git(['rev-parse', '--show-toplevel'], { cwd: process.cwd() });
+  const repoRoot = gitRoot.status === 0 ? gitRoot.stdout.trim() : process.cwd();
+  const { config } = loadLayeredConfig(repoRoot, { profiles });
+  const logsDir = path.join(repoRoot, config.logging.dir);
+  return { repoRoot, config, logsDir, runIds: listRunIds(logsDir) };
+}
 
-  const goalText = (goal && goal.trim().length ? goal : (existingPrompt.goal || '')).trim();
+function pickRunId(runIds, logsDir, id, usage) {
+  if (!id) {
+    console.error(`Usage: ${usage}`);
+    process.exit(1);
+  }
+  const runId = id === 'last' ? runIds[runIds.length - 1] : id;
+  if (!runId || !runIds.includes(runId)) {
+    console.error(`Run not found: ${id} (looked in ${logsDir}).`);
+    process.exit(1);
+  }
+  return runId;
+}
 
-  const { useScopeAssist } = await ask({
-    type: 'confirm',
-    name: 'useScopeAssist',
-    message: 'Use Codex to draft scope (in/out) and acceptance criteria?',
-    initial: true
-  }, defaultsMode);
+function runRollbackCommand(args, argv, { profiles = [] } = {}) {
+  const usage = 'codex-loop rollback <runId|last> --to-iter <n> [--force] [--dry-run]';
+  const { repoRoot, config, logsDir, runIds } = loadRunLogs(profiles);
+  const runId = pickRunId(runIds, logsDir, args[0] && String(args[0]), usage);
+  const toIter = Number(argv['to-iter']);
+  if (argv['to-iter'] === undefined || !Number.isInteger(toIter) || toIter < 0) {
+    console.error(`Usage: ${usage}`);
+    process.exit(1);
+  }
+  const fail = (message) => {
+    console.error(`Cannot roll back run ${runId}: ${message}`);
+    process.exit(1);
+  };
 
-  let scopeDraft = null;
-  if (useScopeAssist) {
-    console.log('Running scope assist with Codex...');
-    scopeDraft = await runScopeAssist({
-      repoRoot,
-      config,
-      projectType,
-      goal: goalText || 'Define scope for this change.',
-      existing: existingPrompt
-    });
+  const state = readState(repoRoot);
+  if (state && state.runId === runId && !state.stopReason) fail('it is still running according to .codex/state.json.');
+
+  const run = describeRun(logsDir, runId);
+  if (!run.baseHead) fail('iter-0/meta.json does not record the starting commit.');
+  if (toIter > 0 && !run.iterations.some(({ iteration }) => iteration === toIter)) {
+    fail(`iteration ${toIter} is not in its logs.`);
   }
 
-  const { inScope } = await ask({
-    type: 'list',
-    name: 'inScope',
-    message: 'In-scope items (comma separated):',
-    initial: existingPrompt.inScope && existingPrompt.inScope.length
-      ? existingPrompt.inScope.join(', ')
-      : (scopeDraft && scopeDraft.inScope ? scopeDraft.inScope.join(', ') : '')
-  }, defaultsMode, `In-scope items: Explicit tasks or files to include.\nExample: \"Update README, add CLI flag\".\nTip: Use concise phrases.\nMore: ${helpLink}`);
-
-  const { outScope } = await ask({
-    type: 'list',
-    name: 'outScope',
-    message: 'Out-of-scope items (comma separated):',
-    initial: existingPrompt.outScope && existingPrompt.outScope.length
-      ? existingPrompt.outScope.join(', ')
-      : (scopeDraft && scopeDraft.outScope ? scopeDraft.outScope.join(', ') : '')
-  }, defaultsMode, `Out-of-scope items: What should not be touched.\nExample: \"Do not modify CI workflows\".\nMore: ${helpLink}`);
-
-  const { constraints } = await ask({
-    type: 'list',
-    name: 'constraints',
-    message: 'Extra constraints (comma separated):',
-    initial: existingPrompt.constraints && existingPrompt.constraints.length ? existingPrompt.constraints.join(', ') : ''
-  }, defaultsMode, `Constraints: Rules the work must follow.\nExample: \"No new dependencies\", \"Keep API stable\".\nMore: ${helpLink}`);
-
-  const { acceptanceCriteria } = await ask({
-    type: 'list',
-    name: 'acceptanceCriteria',
-    message: 'Acceptance criteria (comma separated):',
-    initial: existingPrompt.acceptanceCriteria && existingPrompt.acceptanceCriteria.length
-      ? existingPrompt.acceptanceCriteria.join(', ')
-      : (scopeDraft && scopeDraft.acceptanceCriteria ? scopeDraft.acceptanceCriteria.join(', ') : '')
-  }, defaultsMode, `Acceptance criteria: Definition of done.\nExample: \"Tests pass\", \"Docs updated\".\nMore: ${helpLink}`);
-
-  const { testCommand } = await ask({
-    type: 'text',
-    name: 'testCommand',
-    message: 'Test command:',
-    initial: existingCommands.test || config.commands.test || (scopeDraft && scopeDraft.commands ? scopeDraft.commands.test : '') || defaults.test
-  }, defaultsMode, `Test command: How to verify correctness.\nExample: \"npm test\".\nMore: ${helpLink}`);
+  let target = run.baseHead;
+  resolveIterationCommits(repoRoot, config, run)
+    .filter(({ iteration }) => iteration <= toIter)
+    .forEach(({ iteration, meta, sha }) => {
+      if (meta.commit && !sha) fail(`the commit for iteration ${iteration} (${meta.commit.slice(0, 8)}) no longer exists.`);
+      if (sha) target = sha;
+    });
 
-  const { buildCommand } = await ask({
-    type: 'text',
-    name: 'buildCommand',
-    message: 'Build command:',
-    initial: existingCommands.build || config.commands.build || (scopeDraft && scopeDraft.commands ? scopeDraft.commands.build : '') || defaults.build
-  }, defaultsMode, `Build command: How to build/compile.\nExample: \"npm run build\".\nMore: ${helpLink}`);
+  const branchRef = `refs/heads/${run.branch}`;
+  const tipResult = git(['rev-parse', '--verify', '--quiet', branchRef], { cwd: repoRoot });
+  if (tipResult.status !== 0) fail(`branch ${run.branch} does not exist.`);
+  const tip = tipResult.stdout.trim();
+  if (tip === target) {
+    out.log(`Branch ${run.branch} is already at iteration ${toIter} (${target.slice(0, 8)}).`);
+    return;
+  }
+  if (git(['merge-base', '--is-ancestor', target, tip], { cwd: repoRoot }).status !== 0) {
+    fail(`${target.slice(0, 8)} is not an ancestor of ${run.branch}; the branch was rewritten since the run.`);
+  }
 
-  const { lintCommand } = await ask({
-    type: 'text',
-    name: 'lintCommand',
-    message: 'Lint command:',
-    initial: existingCommands.lint || config.commands.lint || (scopeDraft && scopeDraft.commands ? scopeDraft.commands.lint : '') || defaults.lint
-  }, defaultsMode, `Lint command: How to run linting.\nExample: \"npm run lint\".\nMore: ${helpLink}`);
-
-  let maxLoops = existingPrompt.maxLoops || config.loop.maxLoops;
-  if (config.loop.confirmMaxLoops) {
-    const { loopCount } = await ask({
-      type: 'number',
-      name: 'loopCount',
-      message: 'Max loop iterations (confirm):',
-      initial: maxLoops
-    }, defaultsMode, `Max loops: Safety cap for iterations.\nExample: 20`);
-    if (loopCount) maxLoops = loopCount;
-  }
-
-  const finalGoal = goal && goal.trim().length ? goal : (existingPrompt.goal || 'Describe the desired outcome.');
-  const finalInScope = inScope && inScope.length
-    ? inScope
-    : (existingPrompt.inScope || (scopeDraft ? scopeDraft.inScope : []) || []);
-  const finalOutScope = outScope && outScope.length
-    ? outScope
-    : (existingPrompt.outScope || (scopeDraft ? scopeDraft.outScope : []) || []);
-  const finalConstraints = constraints && constraints.length ? constraints : (existingPrompt.constraints || []);
-  const finalAcceptance = acceptanceCriteria && acceptanceCriteria.length
-    ? acceptanceCriteria
-    : (existingPrompt.acceptanceCriteria || (scopeDraft ? scopeDraft.acceptanceCriteria : []) || []);
-  const finalTest = testCommand || existingCommands.test || '(none)';
-  const finalBuild = buildCommand || existingCommands.build || '(none)';
-  const finalLint = lintCommand || existingCommands.lint || '(none)';
-
-  const data = {
-    repo: path.basename(repoRoot),
-    branch,
-    date: new Date().toISOString().split('T')[0],
-    projectType,
-    goal: finalGoal,
-    inScope: listToBullets(finalInScope),
-    outScope: listToBullets(finalOutScope),
-    constraints: finalConstraints && finalConstraints.length ? `\n${listToBullets(finalConstraints)}` : '',
-    acceptanceCriteria: listToBullets(finalAcceptance),
-    testCommand: finalTest || '(none)',
-    buildCommand: finalBuild || '(none)',
-    lintCommand: finalLint || '(none)',
-    maxLoops
-  };
+  const dropped = git(['log', '--format=%h %s', `${target}..${tip}`], { cwd: repoRoot }).stdout.trim().split('\n').filter(Boolean);
+  const checkedOut = git(['rev-parse', '--abbrev-ref', 'HEAD'], { cwd: repoRoot }).stdout.trim() === run.branch;
+  if (checkedOut && !argv.force) {
+    const dirty = git(['status', '--porcelain', '-uno'], { cwd: repoRoot }).stdout.trim();
+    if (dirty) fail('the working tree has uncommitted changes (commit or stash them, or pass --force to discard them).');
+  }
+  const upstream = git(['rev-parse', '--abbrev-ref', '--symbolic-full-name', `${run.branch}@{upstream}`], { cwd: repoRoot });
+  if (upstream.status === 0 && !argv.force) {
+    const upstreamRef = upstream.stdout.trim();
+    const oldest = git(['rev-list', '--reverse', `${target}..${tip}`], { cwd: repoRoot }).stdout.split('\n')[0];
+    if (git(['merge-base', '--is-ancestor', oldest, upstreamRef], { cwd: repoRoot }).status === 0) {
+      fail(`commits that would be dropped are already pushed to ${upstreamRef} (pass --force to roll back anyway).`);
+    }
+  }
+
+  out.log(`Rolling ${run.branch} back to iteration ${toIter} (${target.slice(0, 8)}), dropping ${dropped.length} commit(s):`);
+  dropped.forEach((line) => out.log(`  ${line}`));
+  const laterIterations = run.iterations.filter(({ iteration }) => iteration > toIter).map(({ iteration }) => iteration);
+  if (argv['dry-run']) {
+    out.log('[dry-run] no changes made.');
+    return;
+  }
 
-  const rendered = renderTemplate(template, data);
-  const promptPath = path.join(repoRoot, config.prompt.path);
-  if (writePrompt) {
-    fs.mkdirSync(path.dirname(promptPath), { recursive: true });
-    fs.writeFileSync(promptPath, rendered);
+  let saved;
+  try {
+    saved = saveBackupRef(repoRoot, runId, tip);
+  } catch (error) {
+    fail(error.message);
+  }
+  const moved = checkedOut
+    ? git(['reset', '--hard', target], { cwd: repoRoot })
+    : git(['update-ref', branchRef, target, tip], { cwd: repoRoot });
+  if (moved.status !== 0) fail(moved.stderr || 'git refused to move the branch.');
+
+  if (laterIterations.length) {
+    const archiveBase = path.join(run.runDir, `rolled-back-${formatTimestamp()}`);
+    // two rollbacks within the same second must not share a folder
+    let archiveDir = archiveBase;
+    for (let n = 2; fs.existsSync(archiveDir); n += 1) archiveDir = `${archiveBase}-${n}`;
+    fs.mkdirSync(archiveDir, { recursive: true });
+    laterIterations.forEach((iteration) => {
+      fs.renameSync(path.join(run.runDir, `iter-${iteration}`), path.join(archiveDir, `iter-${iteration}`));
+    });
+    out.log(`Moved logs of iterations ${laterIterations.join(', ')} to ${archiveDir}`);
   }
 
-  return { promptPath, maxLoops, commands: { test: finalTest, build: finalBuild, lint: finalLint }, rendered };
+  const runState = readLogJson(path.join(run.runDir, 'run.json')) || {};
+  const rolledBack = { ...runState, iteration: toIter, head: target, stopReason: 'rolled-back', timestamp: new Date().toISOString() };
+  if (state && state.runId === runId) {
+    writeRunState(repoRoot, run.runDir, rolledBack);
+  } else {
+    writeJson(path.join(run.runDir, 'run.json'), rolledBack);
+  }
+  out.log(`Previous tip saved as ${saved} (undo with: git reset --hard ${saved}).`);
+  if (state && state.runId === runId && checkedOut) {
+    out.log(`Continue the run from iteration ${toIter + 1} with --resume.`);
+  }
 }
 
-function parsePromise(output, key = 'PROMISE') {
-  if (!output) return false;
-  return output.includes(`${key}: true`);
+function maybeSquashRun(repoRoot, config, runId) {
+  if (!config.git.squashOnFinish) return;
+  const state = readState(repoRoot);
+  if (!state || state.runId !== runId) return;
+  if (state.stopReason === 'interrupted') {
+    out.log('Not squashing: the run was interrupted. Commits are squashed when it finishes.');
+    return;
+  }
+  const run = describeRun(path.join(repoRoot, config.logging.dir), runId);
+  const head = currentHead(repoRoot);
+  if (!run.baseHead || !head) return;
+  const count = Number(git(['rev-list', '--count', `${run.baseHead}..${head}`], { cwd: repoRoot }).stdout.trim()) || 0;
+  if (count < 2) {
+    out.log(`Not squashing: the run made ${count} commit(s).`);
+    return;
+  }
+
+  let saved;
+  try {
+    saved = saveBackupRef(repoRoot, runId, head);
+  } catch (error) {
+    console.warn(`Not squashing: ${error.message}`);
+    return;
+  }
+  git(['reset', '--soft', run.baseHead], { cwd: repoRoot });
+  const commit = git(['commit', '-m', squashMessage(repoRoot, config, run)], { cwd: repoRoot });
+  if (commit.status !== 0) {
+    git(['reset', '--soft', head], { cwd: repoRoot });
+    console.warn(`Squash failed; iteration commits left as they were.\n${commit.stderr || ''}`.trim());
+    return;
+  }
+  const squashed = currentHead(repoRoot);
+  writeRunState(repoRoot, run.runDir, { ...state, head: squashed, squashedCommit: squashed, timestamp: new Date().toISOString() });
+  out.log(`Squashed ${count} iteration commits into ${squashed.slice(0, 8)} (originals kept as ${saved}).`);
 }
 
-function prepareCodexArgs(config, repoRoot) {
-  const args = ['exec'];
-  if (config.codex.yolo) {
-    args.push('--yolo');
-  } else if (config.codex.fullAuto) {
-    args.push('--full-auto');
-  }
-  args.push('--cd', repoRoot, '--output-last-message');
-  if (config.codex.model) args.push('--model', config.codex.model);
-  if (config.codex.sandbox) args.push('--sandbox', config.codex.sandbox);
-  if (config.codex.search) args.push('--search');
-  if (Array.isArray(config.codex.extraArgs)) args.push(...config.codex.extraArgs);
-  return args;
+function shellQuote(value) {
+  const text = String(value);
+  if (process.platform === 'win32') return `"${text.replace(/"/g, '\\"')}"`;
+  return `'${text.replace(/'/g, "'\\''")}'`;
 }
 
-function formatCommand(cmd, args) {
-  const parts = [cmd, ...args].map((part) => (part.includes(' ') ? `"${part}"` : part));
-  return parts.join(' ');
+// only a branch the loop created for the run is pushed; never the branch it started from or a default branch
+function pushRefusal(repoRoot, config, remote, run) {
+  const { branch } = run;
+  const remoteHead = git(['symbolic-ref', '--short', `refs/remotes/${remote}/HEAD`], { cwd: repoRoot });
+  const defaults = remoteHead.status === 0 ? [remoteHead.stdout.trim().slice(remote.length + 1)] : ['main', 'master'];
+  if (config.git.defaultBranch) defaults.push(config.git.defaultBranch);
+  if (defaults.includes(branch)) return `${branch} is a default branch of ${remote}; codex-loop only pushes run branches`;
+  if (branch === run.baseBranch) return `${branch} is the branch the run started from`;
+  if (!run.createdBranch) return `${branch} was not created by codex-loop for this run; push it yourself`;
+  return null;
 }
 
-function resolveCodexPath(config) {
-  const configured = config.codex.path || 'codex';
-  if (process.platform === 'win32' && (configured === 'codex' || configured === 'codex.cmd')) {
-    const resolved = resolveCodexFromPath();
-    return resolved || 'codex.cmd';
+function pushRunBranch(repoRoot, config, remote, run) {
+  const { branch } = run;
+  if (git(['remote', 'get-url', remote], { cwd: repoRoot }).status !== 0) {
+    return { pushed: false, error: `remote "${remote}" is not configured` };
+  }
+  const refusal = pushRefusal(repoRoot, config, remote, run);
+  if (refusal) return { pushed: false, refused: true, error: refusal };
+  const push = git(['push', '--set-upstream', remote, `refs/heads/${branch}:refs/heads/${branch}`], { cwd: repoRoot });
+  if (push.status !== 0) {
+    return { pushed: false, error: (push.stderr || push.stdout || `git push exited with ${push.status}`).trim() };
   }
-  return configured;
+  return { pushed: true };
 }
 
-function resolveCodexFromPath() {
-  const result = run('where', ['codex'], { encoding: 'utf8' });
-  if (result.status !== 0) return null;
-  const lines = (result.stdout || '').split(/\r?\n/).map((line) => line.trim()).filter(Boolean);
-  if (lines.length === 0) return null;
-  const exe = lines.find((line) => line.toLowerCase().endsWith('.exe'));
-  if (exe) return exe;
-  const bare = lines.find((line) => !/\.(cmd|bat|ps1)$/i.test(line));
-  return bare || lines[0];
-}
+function finishRun(repoRoot, config, runId) {
+  const { title, bodyPath, run } = writePullRequestDescription(repoRoot, config, runId);
+  const { branch } = run;
+  out.log(`PR description written: ${bodyPath}`);
+  const finish = { remote: config.finish.remote, branch, title, description: bodyPath, pushed: false };
+
+  if (config.finish.push) {
+    const push = pushRunBranch(repoRoot, config, config.finish.remote, run);
+    finish.pushed = push.pushed;
+    if (push.pushed) {
+      out.log(`Pushed ${branch} to ${config.finish.remote}.`);
+    } else {
+      finish.pushError = push.error;
+      console.warn(push.refused ? `Not pushing: ${push.error}.` : `Push failed: ${push.error}\nThe run and its branch are kept; push again with codex-loop finish ${runId}.`);
+    }
+  }
 
-function ensureLogDirs(repoRoot, config, runId) {
-  const baseDir = path.join(repoRoot, config.logging.dir, runId);
-  fs.mkdirSync(baseDir, { recursive: true });
-  return baseDir;
+  if (isCommandSet(config.finish.prCommand)) {
+    if (config.finish.push && !finish.pushed) {
+      console.warn('Not running finish.prCommand because the branch was not pushed.');
+    } else {
+      const vars = { branch, remote: config.finish.remote, title, bodyFile: bodyPath, runId };
+      const command = config.finish.prCommand.replace(/\{(\w+)\}/g, (match, name) => (vars[name] !== undefined ? shellQuote(vars[name]) : match));
+      out.log(`PR command: ${command}`);
+      const result = runShell(command, { cwd: repoRoot, maxBuffer: 20 * 1024 * 1024 });
+      const output = `${result.stdout || ''}${result.stderr || ''}`.trim();
+      if (output) out.log(output);
+      finish.prCommand = { command, exitCode: result.status, output: trimOutput(output, config.gates.outputLines) };
+      if (result.status !== 0) console.warn(`PR command exited with ${result.status}; the description is in ${bodyPath}.`);
+    }
+  }
+
+  const runDir = path.dirname(bodyPath);
+  const runState = readLogJson(path.join(runDir, 'run.json')) || {};
+  const state = readState(repoRoot);
+  const data = { ...runState, finish, timestamp: new Date().toISOString() };
+  if (state && state.runId === runId) writeRunState(repoRoot, runDir, data);
+  else writeJson(path.join(runDir, 'run.json'), data);
+  return finish;
 }
 
-function logIteration(baseDir, iteration, data) {
-  const iterDir = path.join(baseDir, `iter-${iteration}`);
-  fs.mkdirSync(iterDir, { recursive: true });
-  if (data.prompt) fs.writeFileSync(path.join(iterDir, 'prompt.md'), data.prompt);
-  if (data.output) fs.writeFileSync(path.join(iterDir, 'output.txt'), data.output);
-  if (data.diff) fs.writeFileSync(path.join(iterDir, 'diff.patch'), data.diff);
-  if (data.meta) writeJson(path.join(iterDir, 'meta.json'), data.meta);
+function maybeFinishRun(repoRoot, config, result) {
+  if (!config.finish.enabled || !result) return;
+  if (result.outcome !== 'completed') {
+    out.log(`Not finishing: the run ended with ${result.outcome}. Run codex-loop finish ${result.runId} to push it anyway.`);
+    return;
+  }
+  finishRun(repoRoot, config, result.runId);
 }
 
-function writeState(repoRoot, data) {
-  writeJson(path.join(repoRoot, '.codex', 'state.json'), data);
+function runFinishCommand(args, argv, { profiles = [] } = {}) {
+  const { repoRoot, config, logsDir, runIds } = loadRunLogs(profiles);
+  const runId = pickRunId(runIds, logsDir, args[0] && String(args[0]), 'codex-loop finish <runId|last> [--remote <name>] [--pr-command <cmd>]');
+  if (argv.remote) config.finish.remote = String(argv.remote);
+  if (argv['pr-command'] !== undefined) config.finish.prCommand = String(argv['pr-command']);
+  const finish = finishRun(repoRoot, config, runId);
+  if (config.finish.push && !finish.pushed) process.exitCode = 1;
+  if (finish.prCommand && finish.prCommand.exitCode !== 0) process.exitCode = 1;
 }
 
-function extractJsonObject(text) {
-  if (!text) return null;
-  const start = text.indexOf('{');
-  const end = text.lastIndexOf('}');
-  if (start === -1 || end === -1 || end <= start) return null;
-  const candidate = text.slice(start, end + 1);
-  try {
-    return JSON.parse(candidate);
-  } catch (err) {
-    return null;
+function runExportCommand(args, argv, { profiles = [] } = {}) {
+  const { repoRoot, config, logsDir, runIds } = loadRunLogs(profiles);
+  const runId = pickRunId(runIds, logsDir, args[0] && String(args[0]), 'codex-loop export <runId|last> [--out <dir>]');
+  const run = describeRun(logsDir, runId);
+  const outDir = path.resolve(argv.out || `codex-loop-export-${runId}`);
+  if (fs.existsSync(outDir) && fs.readdirSync(outDir).length > 0) {
+    console.error(`Export directory ${outDir} already exists and is not empty.`);
+    process.exit(1);
   }
-}
 
-function normalizeScopeDraft(draft) {
-  if (!draft || typeof draft !== 'object') return null;
-  const toArray = (value) => {
-    if (!value) return [];
-    if (Array.isArray(value)) return value.map((item) => String(item).trim()).filter(Boolean);
-    if (typeof value === 'string') {
-      return value.split(',').map((item) => item.trim()).filter(Boolean);
+  const runState = readLogJson(path.join(run.runDir, 'run.json')) || {};
+  const commits = resolveIterationCommits(repoRoot, config, run).filter(({ sha }) => sha);
+  let tip = commits.length ? commits[commits.length - 1].sha : null;
+  if (commitExists(repoRoot, runState.squashedCommit)) tip = runState.squashedCommit;
+
+  fs.mkdirSync(outDir, { recursive: true });
+  let patches = [];
+  if (!tip || !commitExists(repoRoot, run.baseHead)) {
+    console.warn(`Run ${runId} has no commits that can be exported; copying logs only.`);
+  } else {
+    const formatted = git(['format-patch', '--quiet', '-o', path.join(outDir, 'patches'), `${run.baseHead}..${tip}`], { cwd: repoRoot });
+    if (formatted.status !== 0) {
+      console.error(formatted.stderr || 'git format-patch failed.');
+      process.exit(1);
     }
-    return [];
-  };
+    patches = fs.readdirSync(path.join(outDir, 'patches')).sort();
+  }
+  fs.cpSync(run.runDir, path.join(outDir, 'logs', runId), { recursive: true });
+  writeJson(path.join(outDir, 'export.json'), {
+    runId,
+    branch: run.branch,
+    base: run.baseHead,
+    tip,
+    stopReason: run.stopReason,
+    patches,
+    exportedAt: new Date().toISOString()
+  });
+
+  out.log(`Exported run ${runId} to ${outDir}: ${patches.length} patch(es) and logs.`);
+  if (patches.length) {
+    out.log(`Apply in another clone (on a commit matching ${run.baseHead.slice(0, 8)}) with:\n  git am ${path.join(outDir, 'patches')}/*.patch`);
+  }
+}
+
+function removeWorktree(repoRoot, worktree) {
+  const remove = git(['worktree', 'remove', '--force', worktree], { cwd: repoRoot });
+  if (remove.status !== 0) console.warn(remove.stderr || `Failed to remove worktree ${worktree}.`);
+}
+
+function scoreCandidate(repoRoot, config, baseHead, candidate) {
+  const state = readLogJson(path.join(candidate.logsRoot, 'run.json')) || {};
+  const run = describeRun(path.join(repoRoot, config.logging.dir), candidate.runId);
+  const last = run.iterations[run.iterations.length - 1];
+  const gates = (last && last.meta.gates) || [];
+  const tip = git(['rev-parse', candidate.branch], { cwd: repoRoot }).stdout.trim();
+  const shortstat = git(['diff', '--shortstat', baseHead, tip], { cwd: repoRoot }).stdout;
+  const changed = (pattern) => Number((shortstat.match(pattern) || [0, 0])[1]);
   return {
-    inScope: toArray(draft.inScope),
-    outScope: toArray(draft.outScope),
-    acceptanceCriteria: toArray(draft.acceptanceCriteria || draft.acceptance),
-    commands: {
-      test: draft.commands && draft.commands.test ? String(draft.commands.test).trim() : '',
-      build: draft.commands && draft.commands.build ? String(draft.commands.build).trim() : '',
-      lint: draft.commands && draft.commands.lint ? String(draft.commands.lint).trim() : ''
-    }
+    ...candidate,
+    tip,
+    stopReason: state.stopReason || 'unknown',
+    finished: Boolean(state.stopClause),
+    gatesFailed: gates.filter((gate) => gate.exitCode !== 0 || gate.timedOut).length,
+    gatesTotal: gates.length,
+    iterations: run.iterations.length,
+    diffLines: changed(/(\d+) insertion/) + changed(/(\d+) deletion/)
   };
 }
 
-async function runScopeAssist({ repoRoot, config, projectType, goal, existing }) {
-  const os = require('os');
-  const tmpBase = fs.mkdtempSync(path.join(os.tmpdir(), 'codex-loop-scope-'));
-  const add = git(['worktree', 'add', '--detach', tmpBase, 'HEAD'], { cwd: repoRoot });
-  if (add.status !== 0) {
-    console.warn(add.stderr || 'Failed to create worktree for scope assist.');
-    return null;
+function rankCandidates(scored) {
+  return scored.slice().sort((a, b) => (
+    Number(b.finished) - Number(a.finished)
+    || a.gatesFailed - b.gatesFailed
+    || Number(b.diffLines > 0) - Number(a.diffLines > 0)
+    || a.iterations - b.iterations
+    || a.diffLines - b.diffLines
+  ));
+}
+
+async function runCandidates(repoRoot, config, { branch, branchMeta, runId, promptText, defaultsMode }) {
+  const count = config.candidates.count;
+  const baseHead = currentHead(repoRoot);
+  const candidates = [];
+  for (let k = 1; k <= count; k += 1) {
+    const candidate = {
+      number: k,
+      runId: `${runId}-c${k}`,
+      branch: `${branch}-c${k}`,
+      worktree: path.join(os.tmpdir(), `codex-loop-${runId}-c${k}`)
+    };
+    const add = git(['worktree', 'add', '-b', candidate.branch, candidate.worktree, baseHead], { cwd: repoRoot });
+    if (add.status !== 0) {
+      console.error(add.stderr || `Failed to create worktree for candidate ${k}.`);
+      candidates.forEach((created) => {
+        removeWorktree(repoRoot, created.worktree);
+        git(['branch', '-D', created.branch], { cwd: repoRoot });
+      });
+      process.exit(1);
+    }
+    if (isCommandSet(config.candidates.setup)) {
+      out.log(`[c${k}] setup: ${config.candidates.setup}`);
+      const setup = runShell(config.candidates.setup, { cwd: candidate.worktree, maxBuffer: 20 * 1024 * 1024 });
+      if (setup.status !== 0) console.warn(`[c${k}] setup exited with ${setup.status}:\n${trimOutput(`${setup.stdout || ''}${setup.stderr || ''}`, 10)}`);
+    }
+    candidate.logsRoot = path.join(repoRoot, config.logging.dir, candidate.runId);
+    candidates.push(candidate);
   }
 
-  const contextLines = [];
-  if (existing && existing.inScope && existing.inScope.length) {
-    contextLines.push(`Existing in-scope: ${existing.inScope.join(', ')}`);
-  }
-  if (existing && existing.outScope && existing.outScope.length) {
-    contextLines.push(`Existing out-of-scope: ${existing.outScope.join(', ')}`);
-  }
-
-  const prompt = [
-    goal,
-    '',
-    'You are helping draft scope for a coding task.',
-    `Project type: ${projectType}`,
-    contextLines.length ? contextLines.join('\\n') : 'No existing scope provided.',
-    '',
-    'Return ONLY a JSON object with this shape:',
-    '{',
-    '  "inScope": ["..."],',
-    '  "outScope": ["..."],',
-    '  "acceptanceCriteria": ["..."],',
-    '  "commands": { "test": "...", "build": "...", "lint": "..." }',
-    '}',
-    '',
-    'Rules:',
-    '- Do not modify any files.',
-    '- Do not run commands.',
-    '- Output JSON only, no markdown.'
-  ].join('\\n');
-
-  const args = ['exec', '--full-auto', '--cd', tmpBase, '--output-last-message'];
-  if (config.codex.model) args.push('--model', config.codex.model);
-  if (config.codex.sandbox) args.push('--sandbox', config.codex.sandbox);
-  if (config.codex.search) args.push('--search');
-
-  const result = runCodex(resolveCodexPath(config), args, {
-    cwd: tmpBase,
-    input: prompt,
-    maxBuffer: 20 * 1024 * 1024
+  out.log(`Running ${count} candidates from ${baseHead.slice(0, 8)}; agent output goes to each candidate's log folder.`);
+  const results = await runLoops(candidates.map((candidate) => attachPrinter(api.runLoop({
+    repoRoot: candidate.worktree,
+    config,
+    branch: candidate.branch,
+    runId: candidate.runId,
+    promptText,
+    logsDir: path.join(repoRoot, config.logging.dir),
+    meta: { candidate: candidate.number, ...branchMeta }
+  }), { label: `c${candidate.number}`, echo: false })));
+  candidates.forEach((candidate, index) => {
+    candidate.result = results[index];
   });
+  candidates.forEach((candidate) => removeWorktree(repoRoot, candidate.worktree));
+
+  const ranked = rankCandidates(candidates.map((candidate) => scoreCandidate(repoRoot, config, baseHead, candidate)));
+  out.log('');
+  out.log(formatTable(['RANK', 'CANDIDATE', 'BRANCH', 'STOP', 'GATES', 'ITERS', 'DIFF'], ranked.map((candidate, index) => [
+    index + 1,
+    `c${candidate.number}`,
+    candidate.branch,
+    candidate.stopReason,
+    candidate.gatesTotal ? `${candidate.gatesTotal - candidate.gatesFailed}/${candidate.gatesTotal} pass` : '-',
+    candidate.iterations,
+    `${candidate.diffLines} lines`
+  ])));
+
+  if (ranked.some((candidate) => candidate.stopReason === 'interrupted')) {
+    console.warn(`Candidates were interrupted; branches kept: ${ranked.map((candidate) => candidate.branch).join(', ')}`);
+    return null;
+  }
 
-  if (result.error) {
-    console.warn(`Scope assist failed to run Codex: ${result.error.message}`);
+  const { pick } = await ask({
+    type: 'select',
+    name: 'pick',
+    message: `Merge which candidate into ${branch}?`,
+    choices: [
+      ...ranked.map((candidate) => ({ title: `c${candidate.number} (${candidate.branch})`, value: candidate.number })),
+      { title: 'None (keep all candidate branches)', value: 0 }
+    ]
+  }, defaultsMode);
+  const winner = ranked.find((candidate) => candidate.number === pick);
+  if (!winner) {
+    out.log(`No candidate merged; branches kept: ${ranked.map((candidate) => candidate.branch).join(', ')}`);
+    return null;
   }
 
-  const output = (result.stdout || '').trim();
-  let parsed = extractJsonObject(output);
-  if (!parsed) {
-    parsed = parseScopeFromMarkdown(output);
+  let merge = git(['merge', '--ff-only', winner.branch], { cwd: repoRoot });
+  if (merge.status !== 0) merge = git(['merge', '--no-edit', winner.branch], { cwd: repoRoot });
+  if (merge.status !== 0) {
+    git(['merge', '--abort'], { cwd: repoRoot });
+    console.error(`Failed to merge ${winner.branch} into ${branch}; candidate branches kept.\n${merge.stderr || ''}`.trim());
+    process.exit(1);
   }
+  ranked.forEach((candidate) => {
+    if (candidate !== winner) saveBackupRef(repoRoot, candidate.runId, candidate.tip);
+    git(['branch', '-D', candidate.branch], { cwd: repoRoot });
+  });
+
+  const winnerState = readLogJson(path.join(winner.logsRoot, 'run.json')) || {};
+  writeRunState(repoRoot, winner.logsRoot, {
+    ...winnerState,
+    repoRoot,
+    branch,
+    head: currentHead(repoRoot),
+    candidate: winner.number,
+    timestamp: new Date().toISOString()
+  });
+  process.exitCode = exitCodeFor(winner.result);
+  out.log(`Merged c${winner.number} into ${branch}. Other candidates are kept as ${backupRef(`${runId}-c<n>`)}.`);
+  return winner.result;
+}
+
+function branchSlug(text) {
+  return text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 40).replace(/-+$/, '') || 'task';
+}
+
+function uncommittedChanges(repoRoot, ignored = []) {
+  const status = git(['status', '--porcelain'], { cwd: repoRoot });
+  if (status.status !== 0) return '';
+  return status.stdout.split(/\r?\n/).filter((line) => line.trim() && !ignored.includes(line)).join('\n');
+}
 
-  const remove = git(['worktree', 'remove', '--force', tmpBase], { cwd: repoRoot });
-  if (remove.status !== 0) {
-    console.warn(remove.stderr || 'Failed to remove scope assist worktree.');
+async function runBatch(repoRoot, config, { file, dryRun }) {
+  const tasks = readBatchFile(path.resolve(file));
+  if (!tasks.length) {
+    out.log(`No open tasks in ${file}.`);
+    return;
+  }
+  if (config.candidates.count > 1) {
+    throw new ConfigError('Batch mode runs one loop per task; set candidates.count to 1.');
+  }
+  const templates = listTemplates(repoRoot);
+  tasks.forEach((task, index) => {
+    if (task.template && !templates.includes(task.template)) {
+      throw new ConfigError(`Task ${index + 1} uses unknown prompt template "${task.template}". Available: ${templates.join(', ') || '(none)'}.`, { code: 'TEMPLATE_UNKNOWN' });
+    }
+  });
+  // files that were already untracked (such as the .gitignore and .codex/ written on first use) do not change
+  // the commit each task branch starts from, so only tracked changes block a batch
+  const untracked = uncommittedChanges(repoRoot).split('\n').filter((line) => line.startsWith('??'));
+  const dirty = uncommittedChanges(repoRoot, untracked);
+  if (dirty && !dryRun) {
+    throw new GitError(`Commit or stash these changes before running a batch; every task branch starts from the current commit:\n${dirty}`);
   }
 
-  if (!parsed) {
-    const stderr = (result.stderr || '').trim();
-    console.warn('Scope assist did not return valid JSON or markdown. Skipping suggestions.');
-    if (stderr) {
-      console.warn(`Scope assist stderr: ${stderr.split(/\r?\n/).slice(-5).join('\n')}`);
+  const base = git(['rev-parse', '--abbrev-ref', 'HEAD'], { cwd: repoRoot }).stdout.trim();
+  const batchId = formatTimestamp();
+  const summaryPath = path.join(repoRoot, config.logging.dir, `batch-${batchId}.json`);
+  const continueOnFailure = config.batch.continueOnFailure;
+  const summary = { batchId, file: path.resolve(file), base, startedAt: new Date().toISOString(), tasks: [] };
+  out.log(`Running ${tasks.length} task(s) from ${file}, each on its own branch from ${base}.`);
+
+  for (let index = 0; index < tasks.length; index += 1) {
+    const { name, template, maxLoops, ...spec } = tasks[index];
+    const label = name || spec.goal.split(/\r?\n/)[0];
+    const entry = { number: index + 1, name: label, goal: spec.goal, branch: null, runId: null, iterations: 0, stopReason: null, outcome: null };
+    summary.tasks.push(entry);
+    out.log(`\n### Task ${index + 1} of ${tasks.length}: ${label}`);
+
+    const taskConfig = deepMerge({}, config);
+    if (template) taskConfig.prompt.template = template;
+    if (spec.phases) taskConfig.phases = spec.phases;
+    if (maxLoops) taskConfig.loop.maxLoops = maxLoops;
+    try {
+      const created = await maybeCreateBranch(repoRoot, taskConfig, dryRun, true, { force: true, suffix: branchSlug(label) });
+      entry.branch = created.branch;
+      const prompt = await api.buildPrompt({ repoRoot, branch: entry.branch, config: taskConfig, spec, write: false });
+      taskConfig.loop.maxLoops = prompt.maxLoops;
+      taskConfig.commands = { ...taskConfig.commands, ...prompt.commands };
+      entry.runId = `${batchId}-t${index + 1}`;
+      if (dryRun) {
+        out.log(`[dry-run] would run up to ${taskConfig.loop.maxLoops} iteration(s) as ${entry.runId} with ${template ? `template ${template}` : 'the default template'}`);
+        entry.outcome = 'dry-run';
+        continue;
+      }
+      const [result] = await runLoops([attachPrinter(api.runLoop({
+        repoRoot,
+        config: taskConfig,
+        branch: entry.branch,
+        runId: entry.runId,
+        promptText: prompt.rendered,
+        meta: { batch: batchId, task: index + 1, baseBranch: created.baseBranch, createdBranch: created.created }
+      }))]);
+      entry.iterations = result.counts.iterations;
+      entry.stopReason = result.stopReason;
+      entry.exitMessage = result.exitMessage || null;
+      entry.outcome = result.outcome;
+      entry.signal = result.signal || null;
+      maybeSquashRun(repoRoot, taskConfig, entry.runId);
+      maybeWriteRunReport(repoRoot, taskConfig, entry.runId);
+      maybeFinishRun(repoRoot, taskConfig, result);
+    } catch (err) {
+      if (!(err instanceof CodexLoopError)) throw err;
+      console.error(err.message);
+      entry.outcome = 'error';
+      entry.stopReason = err.message.split('\n')[0];
+    } finally {
+      if (!dryRun) {
+        entry.finishedAt = new Date().toISOString();
+        writeJson(summaryPath, summary);
+      }
+    }
+
+    if (entry.outcome === 'interrupted') {
+      console.warn(`Batch stopped during task ${index + 1}; continue it with codex-loop --resume on ${entry.branch}.`);
+      break;
+    }
+    const left = uncommittedChanges(repoRoot, untracked);
+    if (left) {
+      throw new GitError(`Task ${index + 1} left uncommitted changes on ${entry.branch}; commit or discard them before running the remaining tasks:\n${left}`);
+    }
+    const checkout = git(['checkout', base], { cwd: repoRoot });
+    if (checkout.status !== 0) {
+      throw new GitError(`Could not return to ${base} after task ${index + 1}: ${(checkout.stderr || '').trim()}`);
+    }
+    if (entry.outcome !== 'completed' && !continueOnFailure) {
+      console.warn(`Task ${index + 1} ended with ${entry.outcome}; stopping the batch (pass --continue-on-failure to keep going).`);
+      break;
     }
-    return null;
   }
 
-  return normalizeScopeDraft(parsed);
+  tasks.slice(summary.tasks.length).forEach((task) => {
+    summary.tasks.push({ number: summary.tasks.length + 1, name: task.name || task.goal.split(/\r?\n/)[0], goal: task.goal, branch: null, outcome: 'skipped' });
+  });
+  summary.finishedAt = new Date().toISOString();
+  if (!dryRun) writeJson(summaryPath, summary);
+
+  out.log('');
+  out.log(formatTable(['#', 'TASK', 'BRANCH', 'ITERS', 'STOP', 'OUTCOME'], summary.tasks.map((entry) => [
+    entry.number,
+    entry.name.length > 48 ? `${entry.name.slice(0, 47)}…` : entry.name,
+    entry.branch || '-',
+    entry.branch && entry.outcome !== 'dry-run' && entry.outcome !== 'skipped' ? entry.iterations : '-',
+    entry.stopReason || '-',
+    entry.outcome
+  ])));
+  if (!dryRun) out.log(`\nBatch summary: ${path.relative(repoRoot, summaryPath)}`);
+
+  const failed = summary.tasks.find((entry) => !['completed', 'dry-run', 'skipped'].includes(entry.outcome));
+  process.exitCode = failed ? exitCodeFor(failed) : 0;
 }
 
 async function main() {
   const argv = minimist(process.argv.slice(2), {
-    boolean: ['yolo', 'force-yolo', 'search', 'log-commit', 'dry-run', 'prompt-only', 'run-loop', 'update-prompt', 'defaults', 'help', 'print-config'],
-    string: ['model', 'sandbox', 'codex-path', 'max-loops']
+    boolean: ['yolo', 'force-yolo', 'search', 'log-commit', 'squash-on-finish', 'force', 'dry-run', 'prompt-only', 'run-loop', 'update-prompt', 'defaults', 'help', 'print-config', 'resume', 'progress', 'global', 'gzip', 'report', 'record', 'checklist', 'continue-on-failure', 'finish'],
+    string: ['model', 'sandbox', 'codex-path', 'max-loops', 'iteration-timeout', 'gate-timeout', 'run-timeout', 'on-timeout', 'stop-when', 'stall-threshold', 'on-stall', 'candidates', 'agent', 'replay', 'events', 'template', 'spec', 'goal', 'in-scope', 'out-scope', 'constraint', 'accept', 'test-cmd', 'build-cmd', 'lint-cmd', 'remote', 'pr-command', 'profile', 'iter', 'keep', 'older-than', 'out', 'to-iter']
   });
 
   let config = deepMerge({}, DEFAULT_CONFIG);
@@ -837,21 +1276,87 @@ async function main() {
   const runLoop = argv['run-loop'] === true;
   const updatePromptFlag = argv['update-prompt'] === true;
   const defaultsMode = argv.defaults === true;
+  const resumeMode = argv.resume === true;
+  const profileNames = [].concat(argv.profile || [])
+    .flatMap((value) => String(value).split(','))
+    .map((name) => name.trim())
+    .filter(Boolean);
+
+  if (argv._[0] === 'replay-iteration') {
+    runReplayIteration(argv._.slice(1));
+    return;
+  }
+
+  if (argv._[0] === 'config') {
+    runConfigCommand(argv._.slice(1), { global: argv.global === true, profiles: profileNames });
+    return;
+  }
+
+  if (argv._[0] === 'logs') {
+    runLogsCommand(argv._.slice(1), argv, { profiles: profileNames });
+    return;
+  }
+
+  if (argv._[0] === 'report') {
+    runReportCommand(argv._.slice(1), argv, { profiles: profileNames });
+    return;
+  }
+
+  if (argv._[0] === 'rollback') {
+    runRollbackCommand(argv._.slice(1), argv, { profiles: profileNames });
+    return;
+  }
+
+  if (argv._[0] === 'export') {
+    runExportCommand(argv._.slice(1), argv, { profiles: profileNames });
+    return;
+  }
+
+  if (argv._[0] === 'finish') {
+    runFinishCommand(argv._.slice(1), argv, { profiles: profileNames });
+    return;
+  }
 
   if (argv.help || argv.h) {
-    console.log(`codex-loop usage:
+    out.log(`codex-loop usage:
   codex-loop [options]
+  codex-loop config <get|set|unset|validate> [key] [value] [--global]
+  codex-loop logs list
+  codex-loop logs show <runId|last> [--iter <n>]
+  codex-loop logs diff <runId|last> <iterA> <iterB>
+  codex-loop logs prune --keep <n> | --older-than <30d> [--gzip] [--dry-run]
+  codex-loop report [runId|last] [--out <dir>]
+  codex-loop rollback <runId|last> --to-iter <n> [--force] [--dry-run]
+  codex-loop export <runId|last> [--out <dir>]
+  codex-loop finish <runId|last> [--remote <name>] [--pr-command <cmd>]
+  codex-loop batch <tasks.yaml|tasks.json|tasks.md> [--continue-on-failure] [--dry-run]
 
 Core options:
   --prompt-only       Build/update the prompt and exit (still writes .codex/state.json)
   --run-loop          Run using existing prompt (no prompt builder)
   --update-prompt     Rebuild prompt before running (works with default or --run-loop)
+  --template <name>   Build the prompt from a named template (bugfix, feature, refactor, tests, or one in .codex/templates/)
   --dry-run           Show planned actions without executing Codex or committing
+  --resume            Continue the last interrupted run from .codex/state.json
+
+Task (build the prompt without questions; implies --update-prompt):
+  --spec <file>       Read the task from a .json, .yaml or .yml spec (see .codex/spec.schema.json)
+  --goal <text>       Goal of the change (required unless the spec sets it)
+  --in-scope <item>   In-scope item; repeat for more
+  --out-scope <item>  Out-of-scope item; repeat for more
+  --constraint <rule> Extra constraint; repeat for more
+  --accept <item>     Acceptance criterion; repeat for more
+  --test-cmd <cmd>    Test command (also --build-cmd, --lint-cmd); pass "" for none
 
 Safety:
   --yolo              Allow Codex to run without sandbox/approvals (blocked unless --force-yolo)
   --force-yolo        Required to enable --yolo
 
+Agent:
+  --agent <codex|command>  Agent backend (default: ${DEFAULT_CONFIG.agent.type}); "command" runs agent.command with agent.args
+  --record            Save each iteration's agent output, exit code and file changes as a replayable fixture
+  --replay <runId>    Replay a recorded run (run id, "last", or a path to a run log folder) instead of calling the agent
+
 Codex flags:
   --model <name>      Override model (default: ${DEFAULT_CONFIG.codex.model})
   --sandbox <mode>    Override sandbox (default: ${DEFAULT_CONFIG.codex.sandbox})
@@ -860,11 +1365,35 @@ Codex flags:
 
 Loop:
   --max-loops <n>     Override max loops (default: ${DEFAULT_CONFIG.loop.maxLoops})
+  --stop-when <expr>  Stop policy, e.g. "promise && gates" or "test && lint || no-diff"
+                      Terms: ${STOP_TERMS.join(', ')}; && binds tighter than ||
+  --stall-threshold <n>  Stop after n iterations without progress; 0 disables (default: ${DEFAULT_CONFIG.stall.threshold})
+  --on-stall <stop|escape>  On a stall, stop, or run one more iteration asking Codex what blocks it (default: ${DEFAULT_CONFIG.stall.action})
   --log-commit        Commit .codex_logs/ during each iteration
+  --squash-on-finish  Fold the run's iteration commits into one commit when the loop ends
+  --candidates <n>    Run n independent loops in separate worktrees, then merge the one you pick
+  --continue-on-failure  In batch mode, keep going after a task that does not complete
+  --report            Write report.html and report.md into the run's log folder when the loop ends
+  --finish            When the run completes, push its branch and write a PR description (pr.md in the run's log folder)
+  --remote <name>     Remote to push to with --finish (default: ${DEFAULT_CONFIG.finish.remote})
+  --pr-command <cmd>  Command to open the PR after pushing; {branch}, {remote}, {title}, {bodyFile} and {runId} are filled in quoted
+  --progress          Keep a progress journal (${DEFAULT_CONFIG.progress.path}) and feed it to each iteration
+  --checklist         Track the acceptance criteria as a checklist (${DEFAULT_CONFIG.checklist.path}) that Codex ticks off
+
+Timeouts (seconds or durations like 90s, 15m, 2h; default: none):
+  --iteration-timeout <dur>  Kill a Codex iteration that runs longer than this
+  --gate-timeout <dur>       Kill a test/build/lint command that runs longer than this
+  --run-timeout <dur>        Stop the run after this much wall-clock time
+  --on-timeout <next|stop>   After an iteration or gate timeout (default: ${DEFAULT_CONFIG.timeouts.onTimeout})
 
 Automation:
   --defaults          Non-interactive mode; uses defaults and auto-confirms prompts
-  --print-config      Print effective config and exit
+  --print-config      Print effective config, the layer that set each value, and exit
+  --profile <name>    Apply a named profile from config (comma separated for several)
+  --events <file|->   Write a JSON Lines event stream to a file, or to stdout with "-" (other output moves to stderr)
+
+Exit codes:
+  0 completed, 1 error, 2 max loops reached, 3 stalled, 4 stopped by a timeout, failing hook or guardrails, 130/143 interrupted
 
 Defaults mode behavior:
   - Auto-confirms repo usage, dirty tree warnings, and no-remote warnings.
@@ -881,19 +1410,76 @@ Defaults mode behavior:
     process.exit(1);
   }
 
+  if (resumeMode && (promptOnly || updatePromptFlag)) {
+    console.error('Cannot use --resume with --prompt-only or --update-prompt.');
+    process.exit(1);
+  }
+
+  const streamEvents = !dryRun && !argv['print-config'];
+  if (argv.events && streamEvents) eventStream = openEventStream(String(argv.events));
+
+  const taskSpec = taskSpecFromArgs(argv);
+  if (resumeMode && taskSpec) {
+    console.error('Cannot use --resume with --spec or the task flags.');
+    process.exit(1);
+  }
+  const rebuildPrompt = updatePromptFlag || Boolean(taskSpec);
+
   const repoRoot = await resolveRepoRoot(process.cwd(), config, defaultsMode);
   const repoConfigPath = path.join(repoRoot, '.codex', 'config.json');
-  const fileConfig = readJson(repoConfigPath);
-  config = deepMerge(config, fileConfig);
-
-  if (argv.model) config.codex.model = argv.model;
-  if (argv.sandbox) config.codex.sandbox = argv.sandbox;
-  if (argv.search) config.codex.search = true;
-  if (argv['codex-path']) config.codex.path = argv['codex-path'];
-  if (argv['max-loops']) config.loop.maxLoops = Number(argv['max-loops']);
-  if (argv.yolo) config.codex.yolo = true;
-  if (argv['force-yolo']) config.codex.forceYolo = true;
-  if (argv['log-commit']) config.logging.commitLogs = true;
+  const flagOverrides = [
+    ['model', 'codex.model'],
+    ['sandbox', 'codex.sandbox'],
+    ['search', 'codex.search'],
+    ['codex-path', 'codex.path'],
+    ['template', 'prompt.template'],
+    ['agent', 'agent.type'],
+    ['max-loops', 'loop.maxLoops', Number],
+    ['stop-when', 'loop.stopWhen'],
+    ['stall-threshold', 'stall.threshold', Number],
+    ['on-stall', 'stall.action'],
+    ['candidates', 'candidates.count', Number],
+    ['continue-on-failure', 'batch.continueOnFailure'],
+    ['yolo', 'codex.yolo'],
+    ['force-yolo', 'codex.forceYolo'],
+    ['log-commit', 'logging.commitLogs'],
+    ['squash-on-finish', 'git.squashOnFinish'],
+    ['report', 'logging.report'],
+    ['finish', 'finish.enabled'],
+    ['remote', 'finish.remote'],
+    ['pr-command', 'finish.prCommand'],
+    ['record', 'logging.record'],
+    ['events', 'logging.events'],
+    ['progress', 'progress.enabled'],
+    ['checklist', 'checklist.enabled'],
+    ['iteration-timeout', 'timeouts.iteration'],
+    ['gate-timeout', 'timeouts.gate'],
+    ['run-timeout', 'timeouts.run'],
+    ['on-timeout', 'timeouts.onTimeout']
+  ];
+  const overrides = {};
+  const sourceLabels = {};
+  flagOverrides.forEach(([flag, key, convert]) => {
+    if (!argv[flag]) return;
+    overrides[key] = convert ? convert(argv[flag]) : argv[flag];
+    sourceLabels[key] = `flag:--${flag}`;
+  });
+  if (taskSpec && taskSpec.phases) {
+    overrides.phases = taskSpec.phases;
+    sourceLabels.phases = argv.spec ? `spec:${argv.spec}` : 'spec';
+  }
+  if (argv.replay) {
+    overrides['agent.type'] = 'replay';
+    overrides['agent.replay'] = String(argv.replay);
+    sourceLabels['agent.type'] = 'flag:--replay';
+    sourceLabels['agent.replay'] = 'flag:--replay';
+  }
+
+  const layered = api.loadConfig({ repoRoot, profiles: profileNames, overrides, sourceLabels });
+  config = layered.config;
+  const { sources } = layered;
+  if (!eventStream && config.logging.events && streamEvents) eventStream = openEventStream(config.logging.events);
+  layered.notices.forEach((notice) => out.log(notice));
 
   if (argv['print-config']) {
     let derived = {};
@@ -903,14 +1489,15 @@ Defaults mode behavior:
       const repoRoot = gitRoot.stdout.trim();
       const branchResult = git(['rev-parse', '--abbrev-ref', 'HEAD'], { cwd: repoRoot });
       const branch = branchResult.status === 0 ? branchResult.stdout.trim() : null;
-      const codexArgs = prepareCodexArgs(config, repoRoot);
       derived = {
         repoRoot,
         branch,
-        codexCommand: formatCommand(resolveCodexPath(config), codexArgs)
+        agent: config.agent.type,
+        agentCommand: describeAgentCommand(config, repoRoot, { promptFile: '<logs>/iter-N/prompt.md', runId: '<run-id>', iteration: 'N' }),
+        stopPolicy: stopPolicyExpression(config) || null
       };
     }
-    console.log(JSON.stringify({ config, derived }, null, 2));
+    out.log(JSON.stringify({ config, sources, profiles: layered.profiles, derived }, null, 2));
     process.exit(0);
   }
 
@@ -919,37 +1506,73 @@ Defaults mode behavior:
     process.exit(1);
   }
 
+  const localOnlyEntries = ['.codex/state.json', '.codex_logs/'];
+  if (config.progress.enabled) localOnlyEntries.push(config.progress.path);
+  if (config.checklist.enabled) localOnlyEntries.push(config.checklist.path);
+
   if (!dryRun) {
-    ensureGitignore(repoRoot, ['.codex/state.json', '.codex_logs/']);
+    ensureGitignore(repoRoot, localOnlyEntries);
     fs.mkdirSync(path.join(repoRoot, '.codex'), { recursive: true });
     if (!fs.existsSync(repoConfigPath)) {
-      writeJson(repoConfigPath, config);
+      writeJson(repoConfigPath, { version: DEFAULT_CONFIG.version });
     }
   } else {
     const gitignorePath = path.join(repoRoot, '.gitignore');
     const existing = fs.existsSync(gitignorePath) ? fs.readFileSync(gitignorePath, 'utf8') : '';
-    const missing = ['.codex/state.json', '.codex_logs/'].filter((entry) => !existing.includes(entry));
+    const missing = localOnlyEntries.filter((entry) => !existing.includes(entry));
     if (missing.length > 0) {
-      console.log(`[dry-run] .gitignore missing: ${missing.join(', ')}`);
+      out.log(`[dry-run] .gitignore missing: ${missing.join(', ')}`);
     }
   }
 
   const repoInfo = await confirmRepo(repoRoot, config, defaultsMode);
-  const branch = await maybeCreateBranch(repoInfo.repoRoot, config, dryRun, defaultsMode);
+
+  if (resumeMode) {
+    const resume = loadResumeState(repoInfo.repoRoot, config, argv['max-loops'] ? config.loop.maxLoops : null);
+    resume.notices.forEach((notice) => console.warn(notice));
+    if (dryRun) {
+      const commandVars = {
+        promptFile: path.join(resume.logsRoot, `iter-${resume.startIteration}`, 'prompt.md'),
+        runId: resume.runId,
+        iteration: resume.startIteration
+      };
+      out.log(`[dry-run] agent command (${config.agent.type}):`, describeAgentCommand(config, repoInfo.repoRoot, commandVars));
+      out.log(`[dry-run] would resume run ${resume.runId} on ${resume.branch} at iteration ${resume.startIteration} of ${resume.maxLoops}`);
+      out.log('[dry-run] logs dir:', resume.logsRoot);
+      out.log('[dry-run] skipping codex execution and git commits.');
+      return;
+    }
+    out.log(`Resuming run ${resume.runId} at iteration ${resume.startIteration} of ${resume.maxLoops}.`);
+    const [result] = await runLoops([attachPrinter(api.runLoop({ repoRoot: repoInfo.repoRoot, config, resume: true, maxLoops: resume.maxLoops }))]);
+    maybeSquashRun(repoInfo.repoRoot, config, resume.runId);
+    maybeWriteRunReport(repoInfo.repoRoot, config, resume.runId);
+    maybeFinishRun(repoInfo.repoRoot, config, result);
+    return;
+  }
+
+  if (argv._[0] === 'batch') {
+    if (!argv._[1]) throw new ConfigError('Usage: codex-loop batch <tasks.yaml|tasks.json|tasks.md> [--continue-on-failure] [--dry-run]');
+    if (promptOnly || runLoop || rebuildPrompt) throw new ConfigError('codex-loop batch builds each prompt from its task; drop --prompt-only, --run-loop, --update-prompt and the task flags.');
+    await runBatch(repoInfo.repoRoot, config, { file: String(argv._[1]), dryRun });
+    return;
+  }
+
+  const { branch, baseBranch, created: createdBranch } = await maybeCreateBranch(repoInfo.repoRoot, config, dryRun, defaultsMode);
+  const branchMeta = { baseBranch, createdBranch };
 
   const promptPath = path.join(repoInfo.repoRoot, config.prompt.path);
   const promptExists = fs.existsSync(promptPath);
   let promptResult = null;
   let promptText = '';
 
-  if (runLoop && !updatePromptFlag) {
+  if (runLoop && !rebuildPrompt) {
     if (!promptExists) {
       console.error('Prompt file not found. Run without --run-loop or pass --update-prompt.');
       process.exit(1);
     }
     promptText = fs.readFileSync(promptPath, 'utf8');
   } else {
-    if (promptExists && !updatePromptFlag) {
+    if (promptExists && !rebuildPrompt) {
       const { updatePrompt } = await ask({
         type: 'confirm',
         name: 'updatePrompt',
@@ -962,7 +1585,16 @@ Defaults mode behavior:
       }
     }
 
-    promptResult = await buildPrompt(repoInfo.repoRoot, branch, config, defaultsMode, { writePrompt: !dryRun });
+    promptResult = await api.buildPrompt({
+      repoRoot: repoInfo.repoRoot,
+      branch,
+      config,
+      write: !dryRun,
+      spec: taskSpec,
+      ask: (question, helpText) => ask(question, defaultsMode, helpText),
+      log: (message) => out.log(message),
+      warn: console.warn
+    });
     config.loop.maxLoops = promptResult.maxLoops;
     config.commands = { ...config.commands, ...promptResult.commands };
     promptText = promptResult.rendered || '';
@@ -974,115 +1606,93 @@ Defaults mode behavior:
   const logsRoot = path.join(repoInfo.repoRoot, config.logging.dir, runId);
 
   if (dryRun) {
-    const codexArgs = prepareCodexArgs(config, repoInfo.repoRoot);
-    console.log('[dry-run] codex command:', formatCommand(resolveCodexPath(config), codexArgs));
-    console.log('[dry-run] loop iterations:', config.loop.maxLoops);
-    console.log('[dry-run] prompt path:', promptResult ? promptResult.promptPath : promptPath);
-    console.log('[dry-run] logs dir:', logsRoot);
-    console.log('[dry-run] skipping codex execution and git commits.');
+    const commandVars = { promptFile: path.join(logsRoot, 'iter-1', 'prompt.md'), runId, iteration: 1 };
+    out.log(`[dry-run] agent command (${config.agent.type}):`, describeAgentCommand(config, repoInfo.repoRoot, commandVars));
+    out.log('[dry-run] loop iterations:', config.loop.maxLoops);
+    if (config.phases.length) {
+      checkPhases(config);
+      out.log(`[dry-run] phases: ${config.phases.length}; the run ends when the last one passes its gates`);
+      config.phases.forEach((phase, index) => {
+        const commands = phaseCommands(config, phase);
+        const gates = ['test', 'build', 'lint'].filter((name) => isCommandSet(commands[name])).join(', ');
+        out.log(`[dry-run] phase ${index + 1}: ${phase.name} (gates: ${gates}; budget: ${phase.maxLoops || 'run budget'})`);
+      });
+    } else {
+      checkStopPolicy(config);
+      out.log('[dry-run] stop policy:', stopPolicyExpression(config) || `none (runs ${config.loop.maxLoops} iterations)`);
+    }
+    out.log('[dry-run] prompt path:', promptResult ? promptResult.promptPath : promptPath);
+    out.log('[dry-run] logs dir:', logsRoot);
+    if (config.candidates.count > 1) {
+      out.log(`[dry-run] would run ${config.candidates.count} candidates in worktrees on branches ${branch}-c1..c${config.candidates.count}`);
+    }
+    if (config.progress.enabled) out.log('[dry-run] progress journal:', path.join(repoInfo.repoRoot, config.progress.path));
+    if (config.checklist.enabled) out.log('[dry-run] acceptance checklist:', path.join(repoInfo.repoRoot, config.checklist.path));
+    if (config.guardrails.protectedPaths.length) out.log('[dry-run] protected paths:', config.guardrails.protectedPaths.join(', '));
+    if (config.guardrails.allowedPaths.length) out.log('[dry-run] allowed paths:', config.guardrails.allowedPaths.join(', '));
+    HOOK_NAMES.filter((name) => isCommandSet(config.hooks[name])).forEach((name) => {
+      out.log(`[dry-run] ${name} hook:`, config.hooks[name]);
+    });
+    if (config.finish.enabled) {
+      const steps = [config.finish.push ? `push ${branch} to ${config.finish.remote}` : null, 'write pr.md', isCommandSet(config.finish.prCommand) ? `run ${config.finish.prCommand}` : null].filter(Boolean);
+      out.log(`[dry-run] when the run completes: ${steps.join(', ')}`);
+    }
+    out.log('[dry-run] skipping codex execution and git commits.');
     if (promptOnly) {
       writeState(repoInfo.repoRoot, {
         repoRoot: repoInfo.repoRoot,
         branch,
         runId,
         iteration: 0,
+        maxLoops: config.loop.maxLoops,
+        head: currentHead(repoInfo.repoRoot),
         promiseFound: false,
+        stopReason: null,
         timestamp: new Date().toISOString()
       });
     }
     return;
   }
 
-  ensureLogDirs(repoInfo.repoRoot, config, runId);
-  logIteration(logsRoot, 0, { prompt: promptText, meta: { runId, branch } });
+  if (config.candidates.count > 1 && !promptOnly) {
+    const winner = await runCandidates(repoInfo.repoRoot, config, { branch, branchMeta, runId, promptText, defaultsMode });
+    if (winner) {
+      maybeSquashRun(repoInfo.repoRoot, config, winner.runId);
+      maybeWriteRunReport(repoInfo.repoRoot, config, winner.runId);
+      maybeFinishRun(repoInfo.repoRoot, config, winner);
+    }
+    return;
+  }
 
   if (promptOnly) {
-    writeState(repoInfo.repoRoot, {
+    ensureLogDirs(repoInfo.repoRoot, config, runId);
+    logIteration(logsRoot, 0, {
+      prompt: promptText,
+      meta: { runId, branch, head: currentHead(repoInfo.repoRoot), startedAt: new Date().toISOString() }
+    });
+    writeRunState(repoInfo.repoRoot, logsRoot, {
       repoRoot: repoInfo.repoRoot,
       branch,
       runId,
       iteration: 0,
+      maxLoops: config.loop.maxLoops,
+      head: currentHead(repoInfo.repoRoot),
       promiseFound: false,
+      stopReason: 'prompt-only',
       timestamp: new Date().toISOString()
     });
-    console.log('Prompt updated. Exiting due to --prompt-only.');
+    out.log('Prompt updated. Exiting due to --prompt-only.');
     return;
   }
 
-  for (let i = 1; i <= config.loop.maxLoops; i += 1) {
-    const codexArgs = prepareCodexArgs(config, repoInfo.repoRoot);
-    const result = runCodex(resolveCodexPath(config), codexArgs, {
-      cwd: repoInfo.repoRoot,
-      input: promptText,
-      maxBuffer: 20 * 1024 * 1024
-    });
-
-    const output = result.stdout || '';
-    const diff = git(['diff'], { cwd: repoInfo.repoRoot }).stdout || '';
-
-    logIteration(logsRoot, i, {
-      output,
-      diff,
-      meta: { exitCode: result.status }
-    });
-
-    const promiseFound = config.loop.stopOnPromise && parsePromise(output, config.prompt.completionKey);
-    if (promiseFound) {
-      console.log('Completion signal detected.');
-    }
-
-    let stopOnTests = false;
-    if (config.loop.stopOnTestsPass && config.commands.test) {
-      const testResult = runShell(config.commands.test, { cwd: repoInfo.repoRoot });
-      stopOnTests = testResult.status === 0;
-    }
-
-    let stopOnNoDiff = false;
-    if (config.loop.stopOnNoDiff) {
-      const porcelainArgs = ['status', '--porcelain'];
-      if (config.loop.ignoreUntrackedForNoDiff) porcelainArgs.push('-uno');
-      const status = git(porcelainArgs, { cwd: repoInfo.repoRoot });
-      stopOnNoDiff = status.stdout.trim().length === 0;
-    }
-
-    if (config.git.commitEachIteration) {
-      const statusArgs = ['status', '--porcelain'];
-      if (config.loop.ignoreUntrackedForNoDiff) statusArgs.push('-uno');
-      const status = git(statusArgs, { cwd: repoInfo.repoRoot });
-      if (status.stdout.trim().length > 0 || config.git.allowEmptyCommit) {
-        if (config.git.stageOnCommit === 'all') {
-          git(['add', '.'], { cwd: repoInfo.repoRoot });
-        } else {
-          git(['add', '-u'], { cwd: repoInfo.repoRoot });
-        }
-        if (config.logging.commitLogs) {
-          git(['add', '-f', config.logging.dir], { cwd: repoInfo.repoRoot });
-        }
-        const summary = firstLineSummary(output);
-        const message = config.git.commitMessageTemplate
-          .replace('{n}', i)
-          .replace('{summary}', summary);
-        const commit = git(['commit', '-m', message], { cwd: repoInfo.repoRoot });
-        if (commit.status !== 0) {
-          console.warn(commit.stderr || 'Commit failed.');
-        }
-      }
-    }
-
-    writeState(repoInfo.repoRoot, {
-      repoRoot: repoInfo.repoRoot,
-      branch,
-      runId,
-      iteration: i,
-      promiseFound,
-      timestamp: new Date().toISOString()
-    });
-
-    if (promiseFound || stopOnTests || stopOnNoDiff) break;
-  }
+  const [result] = await runLoops([attachPrinter(api.runLoop({ repoRoot: repoInfo.repoRoot, config, branch, runId, promptText, meta: branchMeta }))]);
+  maybeSquashRun(repoInfo.repoRoot, config, runId);
+  maybeWriteRunReport(repoInfo.repoRoot, config, runId);
+  maybeFinishRun(repoInfo.repoRoot, config, result);
 }
 
 main().catch((err) => {
-  console.error(err);
-  process.exit(1);
+  console.error(err instanceof CodexLoopError ? err.message : err);
+  if (eventStream) eventStream.write('error', { code: err.code || 'UNEXPECTED', message: err.message });
+  process.exit(EXIT_CODES.error);
 });
@@ -0,0 +1,3147 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const zlib = require('zlib');
+const { spawn, spawnSync } = require('child_process');
+const { ConfigError, ResumeError } = require('./errors');
+
+const DEFAULT_CONFIG = {
+  version: 1,
+  codex: {
+    path: 'codex',
+    model: 'gpt-5',
+    fullAuto: true,
+    yolo: false,
+    forceYolo: false,
+    sandbox: 'workspace-write',
+    search: false,
+    extraArgs: []
+  },
+  agent: {
+    type: 'codex',
+    command: '',
+    args: [],
+    promptVia: 'stdin',
+    completionPattern: '',
+    replay: ''
+  },
+  repo: {
+    requireConfirm: true,
+    warnIfDirty: true,
+    warnIfNonDefaultBranch: true,
+    confirmIfNoRemote: true
+  },
+  branch: {
+    create: true,
+    prefix: '',
+    pattern: 'codex-YYYYMMDD-HHMMSS',
+    useCurrentBranchAsBase: true
+  },
+  prompt: {
+    path: '.codex/CODEX_PROMPT.md',
+    templatePath: '.codex/CODEX_PROMPT.template.md',
+    template: '',
+    immutableDuringRun: true,
+    completionKey: 'PROMISE',
+    completionValue: true,
+    exitMessageKey: 'EXIT_MESSAGE'
+  },
+  loop: {
+    maxLoops: 20,
+    confirmMaxLoops: true,
+    stopOnPromise: true,
+    stopOnTestsPass: false,
+    stopOnNoDiff: false,
+    ignoreUntrackedForNoDiff: true,
+    commitOnInterrupt: false,
+    stopWhen: '',
+    requireGatesForPromise: false
+  },
+  timeouts: {
+    iteration: 0,
+    gate: 0,
+    hook: 0,
+    run: 0,
+    onTimeout: 'next'
+  },
+  commands: {
+    test: '',
+    build: '',
+    lint: ''
+  },
+  gates: {
+    enabled: true,
+    outputLines: 40
+  },
+  guardrails: {
+    protectedPaths: [
+      '.github/**',
+      '.codex/config.json',
+      'package-lock.json',
+      'npm-shrinkwrap.json',
+      'yarn.lock',
+      'pnpm-lock.yaml',
+      'poetry.lock',
+      'Pipfile.lock',
+      'Cargo.lock',
+      'go.sum'
+    ],
+    allowedPaths: [],
+    onViolation: 'revert',
+    maxViolations: 0
+  },
+  stall: {
+    threshold: 3,
+    action: 'stop'
+  },
+  candidates: {
+    count: 1,
+    setup: ''
+  },
+  batch: {
+    continueOnFailure: false
+  },
+  hooks: {
+    preRun: '',
+    preIteration: '',
+    postIteration: '',
+    onComplete: '',
+    onFailure: '',
+    abortOnFailure: false
+  },
+  git: {
+    commitEachIteration: true,
+    commitMessageTemplate: 'codex-loop: iter {n} - {summary}',
+    stageOnCommit: 'tracked',
+    allowEmptyCommit: false,
+    squashOnFinish: false,
+    defaultBranch: ''
+  },
+  finish: {
+    enabled: false,
+    push: true,
+    remote: 'origin',
+    prCommand: ''
+  },
+  logging: {
+    dir: '.codex_logs',
+    commitLogs: false,
+    writeJson: true,
+    report: false,
+    record: false,
+    events: ''
+  },
+  progress: {
+    enabled: false,
+    path: '.codex/PROGRESS.md',
+    maxEntries: 5,
+    maxOutputLines: 40
+  },
+  checklist: {
+    enabled: false,
+    path: '.codex/CHECKLIST.md'
+  },
+  phases: []
+};
+
+function run(cmd, args, options = {}) {
+  return spawnSync(cmd, args, { encoding: 'utf8', ...options });
+}
+
+function runShell(command, options = {}) {
+  return spawnSync(command, { encoding: 'utf8', shell: true, ...options });
+}
+
+function runCodex(cmd, args, options = {}) {
+  const useShell = process.platform === 'win32' && /\.(cmd|bat)$/i.test(cmd);
+  return spawnSync(cmd, args, { encoding: 'utf8', shell: useShell, ...options });
+}
+
+function spawnProcess(cmd, args, { cwd, input, shell = false, env = process.env, timeoutMs = 0, onStdout, onStderr } = {}) {
+  const startedAt = Date.now();
+  const child = spawn(cmd, args, { cwd, shell, env, detached: process.platform !== 'win32' });
+  let stdout = '';
+  let stderr = '';
+  let settled = false;
+  let timedOut = false;
+  let timeoutTimer = null;
+
+  child.stdout.setEncoding('utf8');
+  child.stderr.setEncoding('utf8');
+  child.stdout.on('data', (chunk) => {
+    stdout += chunk;
+    if (onStdout) onStdout(chunk);
+  });
+  child.stderr.on('data', (chunk) => {
+    stderr += chunk;
+    if (onStderr) onStderr(chunk);
+  });
+  child.stdin.on('error', () => {});
+  child.stdin.end(input);
+
+  const stop = (signal = 'SIGTERM', graceMs = 5000) => {
+    if (settled) return;
+    killTree(child, signal);
+    const timer = setTimeout(() => {
+      if (!settled) killTree(child, 'SIGKILL');
+    }, graceMs);
+    timer.unref();
+  };
+
+  const done = new Promise((resolve) => {
+    let spawnError = null;
+    const finish = (status, signal) => {
+      if (settled) return;
+      settled = true;
+      if (timeoutTimer) clearTimeout(timeoutTimer);
+      resolve({ status, signal, stdout, stderr, error: spawnError, timedOut, durationMs: Date.now() - startedAt });
+    };
+    child.on('error', (err) => {
+      spawnError = err;
+      finish(null, null);
+    });
+    child.on('close', finish);
+  });
+
+  if (timeoutMs > 0) {
+    timeoutTimer = setTimeout(() => {
+      timedOut = true;
+      stop('SIGTERM');
+    }, timeoutMs);
+  }
+
+  return { child, done, stop };
+}
+
+function spawnCodex(cmd, args, { cwd, input, outputPath, timeoutMs, onOutput }) {
+  const useShell = process.platform === 'win32' && /\.(cmd|bat)$/i.test(cmd);
+  fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+  const out = fs.createWriteStream(outputPath);
+  const proc = spawnProcess(cmd, args, {
+    cwd,
+    input,
+    shell: useShell,
+    timeoutMs,
+    onStdout: (chunk) => {
+      if (onOutput) onOutput('stdout', chunk);
+      out.write(chunk);
+    },
+    onStderr: (chunk) => {
+      if (onOutput) onOutput('stderr', chunk);
+      out.write(chunk);
+    }
+  });
+  const done = proc.done.then((result) => new Promise((resolve) => out.end(() => resolve(result))));
+  return { child: proc.child, done, stop: proc.stop };
+}
+
+function parseDuration(value) {
+  if (value === undefined || value === null || value === '' || value === 0) return 0;
+  if (typeof value === 'number') return value * 1000;
+  const match = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*(ms|s|m|h|d)?$/i);
+  if (!match) return NaN;
+  const units = { ms: 1, s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+  return Number(match[1]) * units[(match[2] || 's').toLowerCase()];
+}
+
+function killTree(child, signal) {
+  if (!child.pid) return;
+  if (process.platform === 'win32') {
+    run('taskkill', ['/pid', String(child.pid), '/T', '/F']);
+    return;
+  }
+  try {
+    process.kill(-child.pid, signal);
+  } catch (err) {
+    try {
+      child.kill(signal);
+    } catch (innerErr) {
+      // already gone
+    }
+  }
+}
+
+function git(args, options = {}) {
+  return run('git', args, options);
+}
+
+function currentHead(repoRoot) {
+  const head = git(['rev-parse', 'HEAD'], { cwd: repoRoot });
+  return head.status === 0 ? head.stdout.trim() : null;
+}
+
+function stripBom(text) {
+  return text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+}
+
+function readJson(filePath) {
+  if (!fs.existsSync(filePath)) return null;
+  try {
+    return JSON.parse(stripBom(fs.readFileSync(filePath, 'utf8')));
+  } catch (err) {
+    return null;
+  }
+}
+
+function writeJson(filePath, data) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, JSON.stringify(data, null, 2));
+}
+
+function deepMerge(target, source) {
+  if (!source) return target;
+  const output = { ...target };
+  Object.keys(source).forEach((key) => {
+    if (source[key] && typeof source[key] === 'object' && !Array.isArray(source[key])) {
+      output[key] = deepMerge(output[key] || {}, source[key]);
+    } else {
+      output[key] = source[key];
+    }
+  });
+  return output;
+}
+
+function readConfigFile(filePath) {
+  if (!fs.existsSync(filePath)) return null;
+  let data;
+  try {
+    data = JSON.parse(stripBom(fs.readFileSync(filePath, 'utf8')));
+  } catch (err) {
+    throw new ConfigError(`Invalid JSON in ${filePath}: ${err.message}`, { code: 'CONFIG_PARSE' });
+  }
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new ConfigError(`Invalid config in ${filePath}: expected a JSON object.`);
+  }
+  return data;
+}
+
+function scanJsonString(text, index) {
+  let i = index + 1;
+  while (text[i] !== '"') i += text[i] === '\\' ? 2 : 1;
+  return i + 1;
+}
+
+// maps a valid JSON text to the spans of its values, so single keys can be edited without reformatting the rest
+function scanJsonValue(text, index) {
+  const skip = (i) => {
+    while (i < text.length && /\s/.test(text[i])) i += 1;
+    return i;
+  };
+  let i = skip(index);
+  const start = i;
+  if (text[i] === '{' || text[i] === '[') {
+    const close = text[i] === '{' ? '}' : ']';
+    const node = { type: close === '}' ? 'object' : 'array', start, members: [] };
+    i = skip(i + 1);
+    while (text[i] !== close) {
+      const member = { start: i, key: null };
+      if (node.type === 'object') {
+        const keyEnd = scanJsonString(text, i);
+        member.key = JSON.parse(text.slice(i, keyEnd));
+        i = skip(keyEnd) + 1;
+      }
+      member.value = scanJsonValue(text, i);
+      member.end = member.value.end;
+      node.members.push(member);
+      i = skip(member.end);
+      if (text[i] === ',') i = skip(i + 1);
+    }
+    node.end = i + 1;
+    return node;
+  }
+  if (text[i] === '"') return { type: 'scalar', start, end: scanJsonString(text, i) };
+  while (i < text.length && !/[\s,\]}]/.test(text[i])) i += 1;
+  return { type: 'scalar', start, end: i };
+}
+
+function lineIndentAt(text, index) {
+  const lineStart = text.lastIndexOf('\n', index - 1) + 1;
+  return text.slice(lineStart).match(/^[ \t]*/)[0];
+}
+
+function editJsonText(text, key, value) {
+  const unit = (text.match(/\n([ \t]+)["{[]/) || [null, '  '])[1];
+  const parts = key.split('.');
+  let parent = null;
+  let owner = null;
+  let node = scanJsonValue(text, 0);
+  let depth = 0;
+  while (depth < parts.length && node.type === 'object') {
+    const member = node.members.find((item) => item.key === parts[depth]);
+    if (!member) break;
+    parent = node;
+    owner = member;
+    node = member.value;
+    depth += 1;
+  }
+  const container = depth === parts.length ? parent : node;
+  const multiline = container.type !== 'object' || container.members.length === 0
+    || text.slice(container.start, container.end).includes('\n');
+  const format = (data, indent) => (multiline ? JSON.stringify(data, null, unit).replace(/\n/g, `\n${indent}`) : JSON.stringify(data));
+  const nested = (from) => parts.slice(from + 1).reverse().reduce((inner, part) => ({ [part]: inner }), value);
+
+  if (value === undefined) {
+    if (depth < parts.length) return text;
+    const index = parent.members.indexOf(owner);
+    const before = parent.members[index - 1];
+    const after = parent.members[index + 1];
+    if (before) return text.slice(0, before.end) + text.slice(owner.end);
+    if (after) return text.slice(0, owner.start) + text.slice(after.start);
+    return `${text.slice(0, parent.start + 1)}${text.slice(parent.end - 1)}`;
+  }
+  if (depth === parts.length || node.type !== 'object') {
+    // the key exists, or a parent on the way holds a value that is not an object and is replaced by one
+    const data = depth === parts.length ? value : { [parts[depth]]: nested(depth) };
+    return text.slice(0, owner.value.start) + format(data, lineIndentAt(text, owner.start)) + text.slice(owner.value.end);
+  }
+  const name = JSON.stringify(parts[depth]);
+  const last = node.members[node.members.length - 1];
+  if (!last) {
+    const indent = lineIndentAt(text, node.start);
+    return `${text.slice(0, node.start)}{\n${indent}${unit}${name}: ${format(nested(depth), indent + unit)}\n${indent}}${text.slice(node.end)}`;
+  }
+  if (!multiline) return `${text.slice(0, last.end)}, ${name}: ${format(nested(depth))}${text.slice(last.end)}`;
+  const indent = lineIndentAt(text, last.start);
+  return `${text.slice(0, last.end)},\n${indent}${name}: ${format(nested(depth), indent)}${text.slice(last.end)}`;
+}
+
+// sets (or with value undefined, removes) one key of a JSON config file in place, keeping its key order,
+// indentation and BOM; parents left empty by a removal are removed too
+function editConfigFile(filePath, key, value) {
+  if (!fs.existsSync(filePath)) {
+    const data = {};
+    if (value !== undefined) setConfigValue(data, key, value);
+    writeJson(filePath, data);
+    return;
+  }
+  const raw = fs.readFileSync(filePath, 'utf8');
+  let text = editJsonText(stripBom(raw), key, value);
+  if (value === undefined) {
+    const parts = key.split('.');
+    for (let depth = parts.length - 1; depth > 0; depth -= 1) {
+      const prefix = parts.slice(0, depth).join('.');
+      const node = getConfigValue(JSON.parse(text), prefix);
+      if (!node || typeof node !== 'object' || Object.keys(node).length) break;
+      text = editJsonText(text, prefix, undefined);
+    }
+  }
+  fs.writeFileSync(filePath, raw.charCodeAt(0) === 0xfeff ? `\uFEFF${text}` : text);
+}
+
+function loadConfigSchema() {
+  return readJson(path.join(__dirname, '..', '.codex', 'config.schema.json'));
+}
+
+function describeValue(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && Number.isNaN(value)) return 'NaN';
+  if (typeof value === 'string') return `string ${JSON.stringify(value)}`;
+  if (typeof value === 'object') return 'object';
+  return `${typeof value} ${String(value)}`;
+}
+
+function matchesType(value, type) {
+  switch (type) {
+    case 'object':
+      return value !== null && typeof value === 'object' && !Array.isArray(value);
+    case 'array':
+      return Array.isArray(value);
+    case 'integer':
+      return Number.isInteger(value);
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    case 'null':
+      return value === null;
+    default:
+      return typeof value === type;
+  }
+}
+
+function editDistance(a, b) {
+  const row = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i += 1) {
+    let prev = row[0];
+    row[0] = i;
+    for (let j = 1; j <= b.length; j += 1) {
+      const current = row[j];
+      row[j] = Math.min(row[j] + 1, row[j - 1] + 1, prev + (a[i - 1] === b[j - 1] ? 0 : 1));
+      prev = current;
+    }
+  }
+  return row[b.length];
+}
+
+function suggestKey(key, candidates) {
+  const lower = key.toLowerCase();
+  let best = null;
+  let bestScore = 3;
+  candidates.forEach((candidate) => {
+    const score = candidate.toLowerCase() === lower ? 0 : editDistance(lower, candidate.toLowerCase());
+    if (score < bestScore) {
+      best = candidate;
+      bestScore = score;
+    }
+  });
+  return best;
+}
+
+function validateSchema(value, schema, keyPath = '') {
+  if (!schema) return [];
+  const label = keyPath || '(root)';
+  const types = schema.type ? [].concat(schema.type) : [];
+  if (types.length && !types.some((type) => matchesType(value, type))) {
+    return [{ path: label, message: `expected ${types.join(' or ')} but got ${describeValue(value)}` }];
+  }
+  const errors = [];
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ path: label, message: `expected one of ${schema.enum.map((item) => JSON.stringify(item)).join(', ')} but got ${describeValue(value)}` });
+  }
+  if (typeof schema.minimum === 'number' && typeof value === 'number' && value < schema.minimum) {
+    errors.push({ path: label, message: `must be at least ${schema.minimum} but got ${value}` });
+  }
+  if (typeof schema.minLength === 'number' && typeof value === 'string' && value.trim().length < schema.minLength) {
+    errors.push({ path: label, message: schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters` });
+  }
+  if (matchesType(value, 'object') && Array.isArray(schema.required)) {
+    schema.required.filter((key) => value[key] === undefined).forEach((key) => {
+      errors.push({ path: keyPath ? `${keyPath}.${key}` : key, message: 'is required' });
+    });
+  }
+  if (matchesType(value, 'object') && schema.properties) {
+    Object.keys(value).forEach((key) => {
+      const childPath = keyPath ? `${keyPath}.${key}` : key;
+      if (Object.prototype.hasOwnProperty.call(schema.properties, key)) {
+        errors.push(...validateSchema(value[key], schema.properties[key], childPath));
+      } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+        errors.push(...validateSchema(value[key], schema.additionalProperties, childPath));
+      } else if (schema.additionalProperties === false) {
+        const suggestion = suggestKey(key, Object.keys(schema.properties));
+        const hint = suggestion ? ` (did you mean ${keyPath ? `${keyPath}.` : ''}${suggestion}?)` : '';
+        errors.push({ path: childPath, message: `unknown setting${hint}` });
+      }
+    });
+  }
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => {
+      errors.push(...validateSchema(item, schema.items, `${label}[${index}]`));
+    });
+  }
+  return errors;
+}
+
+function validateConfigFile(data, schema) {
+  const errors = validateSchema(data, schema);
+  if (errors.length || !data.profiles) return errors;
+  Object.keys(data.profiles).forEach((name) => {
+    const { profiles: nested, ...settings } = data.profiles[name];
+    if (nested) errors.push({ path: `profiles.${name}.profiles`, message: 'profiles cannot be nested' });
+    errors.push(...validateSchema(settings, schema, `profiles.${name}`));
+  });
+  return errors;
+}
+
+function formatConfigErrors(heading, errors) {
+  return [heading, ...errors.map((error) => `  - ${error.path}: ${error.message}`)].join('\n');
+}
+
+function schemaForKey(schema, key) {
+  const parts = key.split('.');
+  if (parts[0] === 'profiles' && parts.length > 2) return schemaForKey(schema, parts.slice(2).join('.'));
+  return parts.reduce((node, part) => (node && node.properties ? node.properties[part] : undefined), schema);
+}
+
+function userConfigPath() {
+  const base = process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config');
+  return path.join(base, 'codex-loop', 'config.json');
+}
+
+function configLeafKeys(schema, prefix = '') {
+  return Object.keys(schema.properties || {})
+    .filter((key) => prefix || !['$schema', 'profiles'].includes(key))
+    .reduce((keys, key) => {
+      const keyPath = prefix ? `${prefix}.${key}` : key;
+      const child = schema.properties[key];
+      return child.properties ? keys.concat(configLeafKeys(child, keyPath)) : keys.concat(keyPath);
+    }, []);
+}
+
+function envKeyFor(keyPath) {
+  const parts = keyPath.split('.').map((part) => part.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toUpperCase());
+  return `CODEX_LOOP_${parts.join('_')}`;
+}
+
+function recordSources(sources, data, label, prefix = '') {
+  Object.keys(data).forEach((key) => {
+    const keyPath = prefix ? `${prefix}.${key}` : key;
+    if (data[key] && typeof data[key] === 'object' && !Array.isArray(data[key])) {
+      recordSources(sources, data[key], label, keyPath);
+    } else {
+      sources[keyPath] = label;
+    }
+  });
+}
+
+function loadLayeredConfig(repoRoot, { profiles = [], env = process.env } = {}) {
+  const schema = loadConfigSchema();
+  let config = deepMerge({}, DEFAULT_CONFIG);
+  const sources = {};
+  recordSources(sources, config, 'default');
+  const apply = (data, label) => {
+    config = deepMerge(config, data);
+    recordSources(sources, data, label);
+  };
+
+  const definedProfiles = {};
+  const files = [
+    { layer: 'user', filePath: userConfigPath() },
+    { layer: 'repo', filePath: path.join(repoRoot, '.codex', 'config.json') }
+  ];
+  files.forEach(({ layer, filePath }) => {
+    const data = readConfigFile(filePath);
+    if (!data) return;
+    const errors = validateConfigFile(data, schema);
+    if (errors.length) {
+      throw new ConfigError(formatConfigErrors(`Invalid config in ${filePath}:`, errors), { details: { errors } });
+    }
+    const { profiles: fileProfiles, $schema, ...settings } = data;
+    Object.assign(definedProfiles, fileProfiles);
+    apply(settings, `${layer}:${filePath}`);
+  });
+
+  const profileNames = profiles.length
+    ? profiles
+    : String(env.CODEX_LOOP_PROFILE || '').split(',').map((name) => name.trim()).filter(Boolean);
+  profileNames.forEach((name) => {
+    if (!definedProfiles[name]) {
+      const available = Object.keys(definedProfiles);
+      throw new ConfigError(`Unknown profile "${name}". ${available.length ? `Available: ${available.join(', ')}.` : 'No profiles are defined.'}`, { code: 'PROFILE_UNKNOWN' });
+    }
+    apply(definedProfiles[name], `profile:${name}`);
+  });
+
+  const envErrors = [];
+  const knownEnv = new Set(['CODEX_LOOP_PROFILE']);
+  configLeafKeys(schema).forEach((keyPath) => {
+    const envKey = envKeyFor(keyPath);
+    knownEnv.add(envKey);
+    if (env[envKey] === undefined) return;
+    const keySchema = schemaForKey(schema, keyPath);
+    const value = parseConfigInput(env[envKey], keySchema);
+    const errors = validateSchema(value, keySchema, envKey);
+    if (errors.length) {
+      envErrors.push(...errors);
+      return;
+    }
+    const data = {};
+    setConfigValue(data, keyPath, value);
+    apply(data, `env:${envKey}`);
+  });
+  if (envErrors.length) {
+    throw new ConfigError(formatConfigErrors('Invalid codex-loop environment variables:', envErrors), { details: { errors: envErrors } });
+  }
+  const notices = Object.keys(env)
+    .filter((key) => key.startsWith('CODEX_LOOP_') && !knownEnv.has(key) && !HOOK_ENV_KEYS.includes(key))
+    .map((key) => `Ignoring unknown environment variable ${key}.`);
+
+  return { config, sources, profiles: profileNames, schema, notices };
+}
+
+function getConfigValue(config, key) {
+  return key.split('.').reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), config);
+}
+
+function setConfigValue(config, key, value) {
+  const parts = key.split('.');
+  let node = config;
+  parts.slice(0, -1).forEach((part) => {
+    if (!node[part] || typeof node[part] !== 'object' || Array.isArray(node[part])) node[part] = {};
+    node = node[part];
+  });
+  node[parts[parts.length - 1]] = value;
+}
+
+function unsetConfigValue(config, key) {
+  const parts = key.split('.');
+  const parent = parts.length > 1 ? getConfigValue(config, parts.slice(0, -1).join('.')) : config;
+  if (!parent || typeof parent !== 'object' || !(parts[parts.length - 1] in parent)) return false;
+  delete parent[parts[parts.length - 1]];
+  for (let depth = parts.length - 1; depth > 0; depth -= 1) {
+    const prefix = parts.slice(0, depth).join('.');
+    const node = getConfigValue(config, prefix);
+    if (node && typeof node === 'object' && Object.keys(node).length === 0) {
+      unsetConfigValue(config, prefix);
+    }
+  }
+  return true;
+}
+
+function parseConfigInput(raw, keySchema) {
+  const text = String(raw);
+  const types = keySchema && keySchema.type ? [].concat(keySchema.type) : [];
+  if (types.length === 1 && types[0] === 'string') return text;
+  try {
+    return JSON.parse(text);
+  } catch (err) {
+    return text;
+  }
+}
+
+function ensureGitignore(repoRoot, entries) {
+  const gitignorePath = path.join(repoRoot, '.gitignore');
+  const existing = fs.existsSync(gitignorePath) ? fs.readFileSync(gitignorePath, 'utf8') : '';
+  const missing = entries.filter((entry) => !existing.includes(entry));
+  if (missing.length === 0) return;
+  const newline = existing.endsWith('\n') || existing.length === 0 ? '' : '\n';
+  fs.appendFileSync(gitignorePath, `${newline}${missing.join('\n')}\n`);
+}
+
+function formatTimestamp(date = new Date()) {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}-${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`;
+}
+
+function detectProjectTypes(repoRoot) {
+  const hits = [];
+  const fileMap = [
+    { file: 'package.json', type: 'Node.js' },
+    { file: 'pyproject.toml', type: 'Python' },
+    { file: 'requirements.txt', type: 'Python' },
+    { file: 'go.mod', type: 'Go' },
+    { file: 'Cargo.toml', type: 'Rust' },
+    { file: 'pom.xml', type: 'Java' },
+    { file: 'build.gradle', type: 'Java' }
+  ];
+  fileMap.forEach(({ file, type }) => {
+    if (fs.existsSync(path.join(repoRoot, file))) hits.push(type);
+  });
+  return Array.from(new Set(hits));
+}
+
+function suggestedCommands(projectType) {
+  switch (projectType) {
+    case 'Node.js':
+      return { test: 'npm test', build: 'npm run build', lint: 'npm run lint' };
+    case 'Python':
+      return { test: 'pytest', build: '', lint: 'ruff .' };
+    case 'Go':
+      return { test: 'go test ./...', build: 'go build ./...', lint: '' };
+    case 'Rust':
+      return { test: 'cargo test', build: 'cargo build', lint: 'cargo fmt --check' };
+    case 'Java':
+      return { test: 'mvn test', build: 'mvn -q -DskipTests package', lint: '' };
+    default:
+      return { test: '', build: '', lint: '' };
+  }
+}
+
+const BUILTIN_TEMPLATES_DIR = path.join(__dirname, '..', '.codex', 'templates');
+
+function templateDirs(repoRoot) {
+  return [path.join(repoRoot, '.codex', 'templates'), BUILTIN_TEMPLATES_DIR];
+}
+
+function listTemplates(repoRoot) {
+  const names = new Set();
+  templateDirs(repoRoot).filter((dir) => fs.existsSync(dir)).forEach((dir) => {
+    fs.readdirSync(dir)
+      .filter((file) => file.endsWith('.md'))
+      .forEach((file) => names.add(file.slice(0, -3)));
+  });
+  return [...names].sort();
+}
+
+function resolveTemplateFile(repoRoot, name, subdir = '') {
+  return templateDirs(repoRoot)
+    .map((dir) => path.join(dir, subdir, `${name}.md`))
+    .find((filePath) => fs.existsSync(filePath)) || null;
+}
+
+function readPromptTemplate(repoRoot, config) {
+  if (config.prompt.template) {
+    const filePath = resolveTemplateFile(repoRoot, config.prompt.template);
+    if (!filePath) {
+      throw new ConfigError(`Unknown prompt template "${config.prompt.template}". Available: ${listTemplates(repoRoot).join(', ') || '(none)'}.`, { code: 'TEMPLATE_UNKNOWN' });
+    }
+    return stripBom(fs.readFileSync(filePath, 'utf8'));
+  }
+  const templatePath = path.join(repoRoot, config.prompt.templatePath);
+  return stripBom(fs.existsSync(templatePath)
+    ? fs.readFileSync(templatePath, 'utf8')
+    : fs.readFileSync(path.join(__dirname, '..', '.codex', 'CODEX_PROMPT.template.md'), 'utf8'));
+}
+
+function parseTemplate(source) {
+  const root = { children: [] };
+  const stack = [{ node: root, target: root.children }];
+  const standalone = /^[ \t]*(\{\{\s*(?:#|\/|else\b)[^}]*\}\})[ \t]*\r?\n/gm;
+  source.replace(standalone, '$1').split(/(\{\{[^}]*\}\})/).forEach((token) => {
+    const top = stack[stack.length - 1];
+    const tag = token.match(/^\{\{\s*([#/>]?)\s*([^}]*?)\s*\}\}$/);
+    if (!tag) {
+      if (token) top.target.push(token);
+      return;
+    }
+    const [, sigil, body] = tag;
+    if (sigil === '#') {
+      const [kind, key] = body.split(/\s+/);
+      if (!['if', 'unless', 'each'].includes(kind) || !key) {
+        throw new ConfigError(`Unknown template block "{{#${body}}}".`, { code: 'TEMPLATE_INVALID' });
+      }
+      const node = { type: kind, key, children: [], inverse: [] };
+      top.target.push(node);
+      stack.push({ node, target: node.children });
+    } else if (sigil === '/') {
+      if (stack.length === 1 || top.node.type !== body) {
+        throw new ConfigError(`Unexpected "{{/${body}}}" in template.`, { code: 'TEMPLATE_INVALID' });
+      }
+      stack.pop();
+    } else if (sigil === '>') {
+      top.target.push({ type: 'partial', name: body });
+    } else if (body === 'else' && stack.length > 1) {
+      top.target = top.node.inverse;
+    } else {
+      top.target.push({ type: 'value', key: body, raw: token });
+    }
+  });
+  if (stack.length > 1) {
+    throw new ConfigError(`Unclosed "{{#${stack[stack.length - 1].node.type} ${stack[stack.length - 1].node.key}}}" in template.`, { code: 'TEMPLATE_INVALID' });
+  }
+  return root.children;
+}
+
+function lookupTemplateValue(scopes, key) {
+  if (key === 'this') return scopes[0];
+  for (const scope of scopes) {
+    if (scope === null || typeof scope !== 'object') continue;
+    const value = key.split('.').reduce((node, part) => (node === null || node === undefined ? undefined : node[part]), scope);
+    if (value !== undefined) return value;
+  }
+  return undefined;
+}
+
+function isTemplateTruthy(value) {
+  return Array.isArray(value) ? value.length > 0 : Boolean(value);
+}
+
+function renderTemplateNodes(nodes, scopes, loadPartial, depth) {
+  return nodes.map((node) => {
+    if (typeof node === 'string') return node;
+    if (node.type === 'value') {
+      const value = lookupTemplateValue(scopes, node.key);
+      if (value === undefined) return node.raw;
+      return Array.isArray(value) ? listToBullets(value) : String(value);
+    }
+    if (node.type === 'partial') {
+      if (depth >= 10) throw new ConfigError(`Template partials nest too deeply at "${node.name}".`, { code: 'TEMPLATE_INVALID' });
+      return renderTemplateNodes(parseTemplate(loadPartial(node.name)), scopes, loadPartial, depth + 1);
+    }
+    const value = lookupTemplateValue(scopes, node.key);
+    if (node.type === 'each') {
+      const items = Array.isArray(value) ? value : [];
+      if (!items.length) return renderTemplateNodes(node.inverse, scopes, loadPartial, depth);
+      return items.map((item, index) => renderTemplateNodes(node.children, [item, { '@index': index + 1 }, ...scopes], loadPartial, depth)).join('');
+    }
+    const show = node.type === 'if' ? isTemplateTruthy(value) : !isTemplateTruthy(value);
+    return renderTemplateNodes(show ? node.children : node.inverse, scopes, loadPartial, depth);
+  }).join('');
+}
+
+function renderTemplate(template, data, { loadPartial } = {}) {
+  const partials = loadPartial || ((name) => {
+    throw new ConfigError(`Template partial "${name}" is not available.`, { code: 'TEMPLATE_INVALID' });
+  });
+  return renderTemplateNodes(parseTemplate(template), [data], partials, 0);
+}
+
+function partialLoader(repoRoot) {
+  return (name) => {
+    const filePath = resolveTemplateFile(repoRoot, name, 'partials');
+    if (!filePath) {
+      throw new ConfigError(`Template partial "${name}" not found in .codex/templates/partials/.`, { code: 'TEMPLATE_INVALID' });
+    }
+    return stripBom(fs.readFileSync(filePath, 'utf8'));
+  };
+}
+
+function listToBullets(items, fallback = '(none)') {
+  if (!items || items.length === 0) return `- ${fallback}`;
+  return items.map((item) => `- ${item}`).join('\n');
+}
+
+function trimOutput(text, maxLines = 40) {
+  if (!text) return '';
+  const lines = text.replace(/\s+$/, '').split(/\r?\n/);
+  if (lines.length <= maxLines) return lines.join('\n');
+  return [`... (${lines.length - maxLines} lines trimmed)`, ...lines.slice(-maxLines)].join('\n');
+}
+
+function firstLineSummary(text) {
+  if (!text) return 'updates';
+  const line = text.split(/\r?\n/).find((l) => l.trim().length > 0);
+  if (!line) return 'updates';
+  return line.trim().slice(0, 72);
+}
+
+function defaultAnswer(question) {
+  if (question.type === 'confirm') {
+    return true;
+  }
+  if (question.type === 'select') {
+    if (question.initial !== undefined) return question.initial;
+    if (question.choices && question.choices.length > 0) return question.choices[0].value;
+    return null;
+  }
+  if (question.type === 'number') {
+    return question.initial !== undefined ? question.initial : 0;
+  }
+  if (question.type === 'list') {
+    if (Array.isArray(question.initial)) return question.initial;
+    if (typeof question.initial === 'string' && question.initial.trim().length > 0) {
+      return question.initial.split(',').map((item) => item.trim()).filter(Boolean);
+    }
+    return [];
+  }
+  return question.initial !== undefined ? question.initial : '';
+}
+
+function extractSection(text, heading) {
+  const pattern = new RegExp(`##\\s+${heading}\\s*\\n([\\s\\S]*?)(?=\\n##\\s|\\n#\\s|$)`, 'i');
+  const match = text.match(pattern);
+  return match ? match[1].trim() : '';
+}
+
+function parseBullets(sectionText) {
+  if (!sectionText) return [];
+  return sectionText
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter((line) => line.startsWith('- '))
+    .map((line) => line.slice(2).trim())
+    .filter((item) => item && item !== '(none)' && !item.startsWith('<'));
+}
+
+// the gate bullets ("Tests pass: ...") are generated from the commands, not written by the user
+function acceptanceBullets(section) {
+  return parseBullets(section).filter((item) => !/^(Tests pass|Build succeeds|Lint clean):/i.test(item));
+}
+
+function commandFromMatch(match) {
+  const command = match ? match[1].trim() : '';
+  return isCommandSet(command) ? command : '';
+}
+
+function parseExistingPrompt(promptText) {
+  if (!promptText) return {};
+  const context = extractSection(promptText, 'Context');
+  const goalSection = extractSection(promptText, 'Goal');
+  const inScopeSection = extractSection(promptText, 'In Scope');
+  const outScopeSection = extractSection(promptText, 'Out of Scope');
+  const constraintsSection = extractSection(promptText, 'Constraints');
+  const acceptanceSection = extractSection(promptText, 'Acceptance Criteria');
+  const commandsSection = extractSection(promptText, 'Required Commands');
+  const escapeHatchSection = extractSection(promptText, 'Escape Hatch');
+
+  const projectTypeMatch = context.match(/Project type:\s*(.+)/i);
+  const projectType = projectTypeMatch ? projectTypeMatch[1].trim() : '';
+
+  const testMatch = commandsSection.match(/-\s*Test:\s*(.+)/i);
+  const buildMatch = commandsSection.match(/-\s*Build:\s*(.+)/i);
+  const lintMatch = commandsSection.match(/-\s*Lint:\s*(.+)/i);
+
+  const maxLoopsMatch = escapeHatchSection.match(/iteration\s+(\d+)/i);
+  const maxLoops = maxLoopsMatch ? Number(maxLoopsMatch[1]) : undefined;
+
+  const goalLine = goalSection.split(/\r?\n/).find((line) => line.trim().length > 0) || '';
+
+  return {
+    projectType,
+    goal: goalLine.replace(/^[-*]\s*/, '').trim(),
+    inScope: parseBullets(inScopeSection),
+    outScope: parseBullets(outScopeSection),
+    constraints: parseBullets(constraintsSection),
+    acceptanceCriteria: acceptanceBullets(acceptanceSection),
+    commands: {
+      test: commandFromMatch(testMatch),
+      build: commandFromMatch(buildMatch),
+      lint: commandFromMatch(lintMatch)
+    },
+    maxLoops
+  };
+}
+
+function parseScopeFromMarkdown(text) {
+  if (!text) return null;
+  const inScope = parseBullets(extractSection(text, 'In Scope'));
+  const outScope = parseBullets(extractSection(text, 'Out of Scope'));
+  const acceptance = parseBullets(extractSection(text, 'Acceptance Criteria'));
+  const commandsSection = extractSection(text, 'Commands') || extractSection(text, 'Suggested Commands');
+  const testMatch = commandsSection.match(/-\s*Test:\s*(.+)/i);
+  const buildMatch = commandsSection.match(/-\s*Build:\s*(.+)/i);
+  const lintMatch = commandsSection.match(/-\s*Lint:\s*(.+)/i);
+  if (inScope.length === 0 && outScope.length === 0 && acceptance.length === 0 && !commandsSection) return null;
+  return normalizeScopeDraft({
+    inScope,
+    outScope,
+    acceptanceCriteria: acceptance,
+    commands: {
+      test: testMatch ? testMatch[1].trim() : '',
+      build: buildMatch ? buildMatch[1].trim() : '',
+      lint: lintMatch ? lintMatch[1].trim() : ''
+    }
+  });
+}
+
+function loadSpecSchema() {
+  return readJson(path.join(__dirname, '..', '.codex', 'spec.schema.json'));
+}
+
+// index of the quote that closes the string opening text, or -1
+function closingQuote(text) {
+  const quote = text[0];
+  for (let i = 1; i < text.length; i += 1) {
+    if (quote === '"' && text[i] === '\\') {
+      i += 1;
+    } else if (text[i] === quote) {
+      if (quote === "'" && text[i + 1] === "'") i += 1;
+      else return i;
+    }
+  }
+  return -1;
+}
+
+// splits "[a, 'b, c']" on the commas outside quotes; null when the list is not closed
+function splitFlowList(text) {
+  const items = [];
+  let start = 1;
+  for (let i = 1; i < text.length; i += 1) {
+    const char = text[i];
+    if ((char === '"' || char === "'") && !text.slice(start, i).trim()) {
+      const end = closingQuote(text.slice(i));
+      if (end === -1) return null;
+      i += end;
+    } else if (char === ',' || char === ']') {
+      items.push(text.slice(start, i));
+      start = i + 1;
+      if (char === ']') return { items, rest: text.slice(i + 1) };
+    }
+  }
+  return null;
+}
+
+function parseYamlScalar(raw, fail) {
+  const text = raw.trim();
+  const isComment = (rest) => !rest.trim() || /^\s+#/.test(rest);
+  if (text.startsWith('"') || text.startsWith("'")) {
+    const style = text.startsWith('"') ? 'double-quoted' : 'single-quoted';
+    const end = closingQuote(text);
+    if (end === -1) return fail(`unterminated ${style} string ${text}`);
+    if (!isComment(text.slice(end + 1))) return fail(`unexpected text after ${style} string ${text}`);
+    const quoted = text.slice(0, end + 1);
+    if (style === 'single-quoted') return quoted.slice(1, -1).replace(/''/g, "'");
+    try {
+      return JSON.parse(quoted);
+    } catch (err) {
+      return fail(`invalid double-quoted string ${quoted}`);
+    }
+  }
+  if (text.startsWith('[')) {
+    const list = splitFlowList(text);
+    if (!list) return fail(`unterminated list ${text}`);
+    if (!isComment(list.rest)) return fail(`unexpected text after list ${text}`);
+    if (list.items.length === 1 && !list.items[0].trim()) return [];
+    return list.items.map((item) => parseYamlScalar(item, fail));
+  }
+  const value = text.replace(/\s+#.*$/, '');
+  if (value === '' || value === '~' || value === 'null') return null;
+  if (value === 'true' || value === 'false') return value === 'true';
+  if (/^-?\d+(\.\d+)?$/.test(value)) return Number(value);
+  return value;
+}
+
+function parseYamlSubset(text, label) {
+  const lines = stripBom(text).split(/\r?\n/);
+  let index = 0;
+  const fail = (message, line = index) => {
+    throw new ConfigError(`${label}:${line + 1}: ${message}`, { code: 'SPEC_INVALID' });
+  };
+  const indentOf = (line) => line.match(/^ */)[0].length;
+  const skipBlank = () => {
+    while (index < lines.length && /^\s*(#.*)?$/.test(lines[index])) index += 1;
+    if (index < lines.length && /^ *\t/.test(lines[index])) fail('tabs are not allowed for indentation');
+    return index < lines.length;
+  };
+
+  function parseBlockScalar(parentIndent, style) {
+    const block = [];
+    while (index < lines.length && (!lines[index].trim() || indentOf(lines[index]) > parentIndent)) {
+      block.push(lines[index]);
+      index += 1;
+    }
+    const width = Math.min(...block.filter((line) => line.trim()).map(indentOf));
+    const content = block.map((line) => line.slice(width)).join('\n').replace(/\s+$/, '');
+    return style.startsWith('>') ? content.replace(/([^\n])\n(?=[^\n])/g, '$1 ') : content;
+  }
+
+  function parseNode(indent) {
+    const isList = /^-(\s|$)/.test(lines[index].slice(indent));
+    const node = isList ? [] : {};
+    while (skipBlank() && indentOf(lines[index]) === indent) {
+      const body = lines[index].slice(indent);
+      let rest;
+      let key = null;
+      if (isList) {
+        if (!/^-(\s|$)/.test(body)) break;
+        rest = body.slice(1).trim();
+        if (/^[A-Za-z_$][\w-]*\s*:(\s|$)/.test(rest)) {
+          const column = indent + body.indexOf(rest);
+          lines[index] = `${' '.repeat(column)}${rest}`;
+          node.push(parseNode(column));
+          continue;
+        }
+      } else {
+        const match = body.match(/^([A-Za-z_$][\w-]*)\s*:(?:\s+(.*))?$/);
+        if (!match) fail(`expected "key: value" but found "${body.trim()}"`);
+        key = match[1];
+        if (Object.prototype.hasOwnProperty.call(node, key)) fail(`duplicate key "${key}"`);
+        rest = (match[2] || '').trim();
+      }
+      const line = index;
+      index += 1;
+      let value;
+      if (/^[|>][+-]?$/.test(rest)) {
+        value = parseBlockScalar(indent, rest);
+      } else if (rest === '' || rest.startsWith('#')) {
+        const nested = skipBlank() && (indentOf(lines[index]) > indent
+          || (!isList && indentOf(lines[index]) === indent && /^-(\s|$)/.test(lines[index].slice(indent))));
+        value = nested ? parseNode(indentOf(lines[index])) : null;
+      } else {
+        value = parseYamlScalar(rest, (message) => fail(message, line));
+      }
+      if (isList) node.push(value);
+      else node[key] = value;
+    }
+    return node;
+  }
+
+  if (!skipBlank()) return {};
+  if (indentOf(lines[index]) !== 0) fail('unexpected indentation');
+  const result = parseNode(0);
+  if (skipBlank()) fail(`unexpected "${lines[index].trim()}"`);
+  return result;
+}
+
+function validateTaskSpec(spec, label = 'task spec') {
+  if (!spec || typeof spec !== 'object' || Array.isArray(spec)) {
+    throw new ConfigError(`Invalid ${label}: expected an object with at least a goal.`, { code: 'SPEC_INVALID' });
+  }
+  const errors = validateSchema(spec, loadSpecSchema());
+  if (errors.length) {
+    throw new ConfigError(formatConfigErrors(`Invalid ${label}:`, errors), { code: 'SPEC_INVALID', details: { errors } });
+  }
+  return spec;
+}
+
+function readDataFile(filePath, label) {
+  if (!fs.existsSync(filePath)) {
+    throw new ConfigError(`${label} not found: ${filePath}`, { code: 'SPEC_INVALID' });
+  }
+  const text = fs.readFileSync(filePath, 'utf8');
+  if (path.extname(filePath).toLowerCase() === '.json') {
+    try {
+      return JSON.parse(stripBom(text));
+    } catch (err) {
+      throw new ConfigError(`Invalid JSON in ${filePath}: ${err.message}`, { code: 'SPEC_INVALID' });
+    }
+  }
+  return parseYamlSubset(text, filePath);
+}
+
+function readTaskSpec(filePath) {
+  return readDataFile(filePath, 'Task spec');
+}
+
+function parseChecklist(text) {
+  return stripBom(text).split(/\r?\n/)
+    .map((line) => line.match(/^\s*[-*+]\s+\[([ xX])\]\s+(.+?)\s*$/))
+    .filter((match) => match && match[1] === ' ')
+    .map((match) => ({ goal: match[2] }));
+}
+
+function readBatchFile(filePath) {
+  let tasks;
+  if (/\.(md|markdown)$/i.test(filePath)) {
+    if (!fs.existsSync(filePath)) throw new ConfigError(`Batch file not found: ${filePath}`, { code: 'SPEC_INVALID' });
+    tasks = parseChecklist(fs.readFileSync(filePath, 'utf8'));
+  } else {
+    const data = readDataFile(filePath, 'Batch file');
+    tasks = Array.isArray(data) ? data : (data && data.tasks);
+    if (!Array.isArray(data)) {
+      const extra = data && typeof data === 'object' ? Object.keys(data).filter((key) => key !== 'tasks') : [];
+      if (!Array.isArray(tasks) || extra.length) {
+        throw new ConfigError(`Invalid batch file ${filePath}: expected a list of tasks or an object with only a "tasks" list.`, { code: 'SPEC_INVALID' });
+      }
+    }
+  }
+  const specSchema = loadSpecSchema();
+  const taskSchema = {
+    ...specSchema,
+    properties: {
+      ...specSchema.properties,
+      name: { type: 'string', minLength: 1 },
+      template: { type: 'string' },
+      maxLoops: { type: 'integer', minimum: 1 }
+    }
+  };
+  const errors = validateSchema(tasks, { type: 'array', items: taskSchema }, 'tasks');
+  if (errors.length) {
+    throw new ConfigError(formatConfigErrors(`Invalid batch file ${filePath}:`, errors), { code: 'SPEC_INVALID', details: { errors } });
+  }
+  return tasks;
+}
+
+function specAnswers(spec) {
+  const commands = spec.commands || {};
+  const answers = {
+    goal: spec.goal.trim(),
+    useScopeAssist: false,
+    inScope: spec.inScope || [],
+    outScope: spec.outScope || [],
+    constraints: spec.constraints || [],
+    acceptanceCriteria: spec.acceptanceCriteria || []
+  };
+  ['test', 'build', 'lint'].filter((name) => commands[name] !== undefined).forEach((name) => {
+    answers[`${name}Command`] = commands[name];
+  });
+  return answers;
+}
+
+async function buildPrompt(repoRoot, branch, config, options = {}) {
+  const { writePrompt = true, spec = null, log = () => {}, warn = () => {} } = options;
+  const answers = spec ? { ...options.answers, ...specAnswers(validateTaskSpec(spec)) } : (options.answers || {});
+  const ask = async (question, helpText) => {
+    if (answers[question.name] !== undefined || spec || !options.ask) {
+      return { [question.name]: answers[question.name] !== undefined ? answers[question.name] : defaultAnswer(question) };
+    }
+    return options.ask(question, helpText);
+  };
+  const template = readPromptTemplate(repoRoot, config);
+
+  let existingPrompt = {};
+  const existingPromptPath = path.join(repoRoot, config.prompt.path);
+  if (!spec && fs.existsSync(existingPromptPath)) {
+    existingPrompt = parseExistingPrompt(fs.readFileSync(existingPromptPath, 'utf8'));
+  }
+
+  const projectTypes = detectProjectTypes(repoRoot);
+  let projectType = projectTypes[0] || 'Unknown';
+  if (spec && spec.projectType) {
+    projectType = spec.projectType;
+  } else if (projectTypes.length > 1) {
+    const initialIndex = existingPrompt.projectType
+      ? Math.max(0, projectTypes.indexOf(existingPrompt.projectType))
+      : 0;
+    const { pickedType } = await ask({
+      type: 'select',
+      name: 'pickedType',
+      message: 'Select project type:',
+      choices: projectTypes.map((type) => ({ title: type, value: type })),
+      initial: initialIndex
+    });
+    projectType = pickedType || projectType;
+  } else if (existingPrompt.projectType) {
+    projectType = existingPrompt.projectType;
+  }
+
+  const defaults = suggestedCommands(projectType);
+  const existingCommands = existingPrompt.commands || {};
+
+  const helpLink = 'https://github.com/dtolan/codex_ralph#prompt-file-format-planned';
+
+  const { goal } = await ask({
+    type: 'text',
+    name: 'goal',
+    message: 'Describe the goal:',
+    initial: existingPrompt.goal || ''
+  }, `Goal: A short statement of the desired outcome.\nExample: \"Add a --dry-run flag and document it.\"`);
+
+  const goalText = (goal && goal.trim().length ? goal : (existingPrompt.goal || '')).trim();
+
+  const { useScopeAssist } = await ask({
+    type: 'confirm',
+    name: 'useScopeAssist',
+    message: 'Use Codex to draft scope (in/out) and acceptance criteria?',
+    initial: true
+  });
+
+  let scopeDraft = null;
+  if (useScopeAssist) {
+    log('Running scope assist with Codex...');
+    scopeDraft = await runScopeAssist({
+      repoRoot,
+      config,
+      projectType,
+      goal: goalText || 'Define scope for this change.',
+      existing: existingPrompt,
+      warn
+    });
+  }
+
+  const { inScope } = await ask({
+    type: 'list',
+    name: 'inScope',
+    message: 'In-scope items (comma separated):',
+    initial: existingPrompt.inScope && existingPrompt.inScope.length
+      ? existingPrompt.inScope.join(', ')
+      : (scopeDraft && scopeDraft.inScope ? scopeDraft.inScope.join(', ') : '')
+  }, `In-scope items: Explicit tasks or files to include.\nExample: \"Update README, add CLI flag\".\nTip: Use concise phrases.\nMore: ${helpLink}`);
+
+  const { outScope } = await ask({
+    type: 'list',
+    name: 'outScope',
+    message: 'Out-of-scope items (comma separated):',
+    initial: existingPrompt.outScope && existingPrompt.outScope.length
+      ? existingPrompt.outScope.join(', ')
+      : (scopeDraft && scopeDraft.outScope ? scopeDraft.outScope.join(', ') : '')
+  }, `Out-of-scope items: What should not be touched.\nExample: \"Do not modify CI workflows\".\nMore: ${helpLink}`);
+
+  const { constraints } = await ask({
+    type: 'list',
+    name: 'constraints',
+    message: 'Extra constraints (comma separated):',
+    initial: existingPrompt.constraints && existingPrompt.constraints.length ? existingPrompt.constraints.join(', ') : ''
+  }, `Constraints: Rules the work must follow.\nExample: \"No new dependencies\", \"Keep API stable\".\nMore: ${helpLink}`);
+
+  const { acceptanceCriteria } = await ask({
+    type: 'list',
+    name: 'acceptanceCriteria',
+    message: 'Acceptance criteria (comma separated):',
+    initial: existingPrompt.acceptanceCriteria && existingPrompt.acceptanceCriteria.length
+      ? existingPrompt.acceptanceCriteria.join(', ')
+      : (scopeDraft && scopeDraft.acceptanceCriteria ? scopeDraft.acceptanceCriteria.join(', ') : '')
+  }, `Acceptance criteria: Definition of done.\nExample: \"Tests pass\", \"Docs updated\".\nMore: ${helpLink}`);
+
+  const { testCommand } = await ask({
+    type: 'text',
+    name: 'testCommand',
+    message: 'Test command:',
+    initial: existingCommands.test || config.commands.test || (scopeDraft && scopeDraft.commands ? scopeDraft.commands.test : '') || defaults.test
+  }, `Test command: How to verify correctness.\nExample: \"npm test\".\nMore: ${helpLink}`);
+
+  const { buildCommand } = await ask({
+    type: 'text',
+    name: 'buildCommand',
+    message: 'Build command:',
+    initial: existingCommands.build || config.commands.build || (scopeDraft && scopeDraft.commands ? scopeDraft.commands.build : '') || defaults.build
+  }, `Build command: How to build/compile.\nExample: \"npm run build\".\nMore: ${helpLink}`);
+
+  const { lintCommand } = await ask({
+    type: 'text',
+    name: 'lintCommand',
+    message: 'Lint command:',
+    initial: existingCommands.lint || config.commands.lint || (scopeDraft && scopeDraft.commands ? scopeDraft.commands.lint : '') || defaults.lint
+  }, `Lint command: How to run linting.\nExample: \"npm run lint\".\nMore: ${helpLink}`);
+
+  let maxLoops = existingPrompt.maxLoops || config.loop.maxLoops;
+  if (config.loop.confirmMaxLoops) {
+    const { loopCount } = await ask({
+      type: 'number',
+      name: 'loopCount',
+      message: 'Max loop iterations (confirm):',
+      initial: maxLoops
+    }, `Max loops: Safety cap for iterations.\nExample: 20`);
+    if (loopCount) maxLoops = loopCount;
+  }
+
+  const finalGoal = goal && goal.trim().length ? goal : (existingPrompt.goal || 'Describe the desired outcome.');
+  const finalInScope = inScope && inScope.length
+    ? inScope
+    : (existingPrompt.inScope || (scopeDraft ? scopeDraft.inScope : []) || []);
+  const finalOutScope = outScope && outScope.length
+    ? outScope
+    : (existingPrompt.outScope || (scopeDraft ? scopeDraft.outScope : []) || []);
+  const finalConstraints = constraints && constraints.length ? constraints : (existingPrompt.constraints || []);
+  const finalAcceptance = acceptanceCriteria && acceptanceCriteria.length
+    ? acceptanceCriteria
+    : (existingPrompt.acceptanceCriteria || (scopeDraft ? scopeDraft.acceptanceCriteria : []) || []);
+  const finalTest = testCommand || existingCommands.test || '(none)';
+  const finalBuild = buildCommand || existingCommands.build || '(none)';
+  const finalLint = lintCommand || existingCommands.lint || '(none)';
+
+  const commands = [
+    { name: 'Test', check: 'Tests pass', command: finalTest },
+    { name: 'Build', check: 'Build succeeds', command: finalBuild },
+    { name: 'Lint', check: 'Lint clean', command: finalLint }
+  ].filter((entry) => isCommandSet(entry.command));
+
+  const data = {
+    repo: path.basename(repoRoot),
+    branch,
+    date: new Date().toISOString().split('T')[0],
+    template: config.prompt.template || 'default',
+    projectType,
+    goal: finalGoal,
+    inScope: finalInScope || [],
+    outScope: finalOutScope || [],
+    constraints: finalConstraints || [],
+    acceptanceCriteria: finalAcceptance || [],
+    testCommand: isCommandSet(finalTest) ? finalTest : '',
+    buildCommand: isCommandSet(finalBuild) ? finalBuild : '',
+    lintCommand: isCommandSet(finalLint) ? finalLint : '',
+    commands,
+    acceptanceChecks: [...(finalAcceptance || []), ...commands.map((entry) => `${entry.check}: ${entry.command}`)],
+    phases: (spec && spec.phases) || config.phases,
+    maxLoops,
+    completionKey: config.prompt.completionKey,
+    completionValue: config.prompt.completionValue,
+    exitMessageKey: config.prompt.exitMessageKey
+  };
+
+  const rendered = renderTemplate(template, data, { loadPartial: partialLoader(repoRoot) }).replace(/\n{3,}/g, '\n\n');
+  const promptPath = path.join(repoRoot, config.prompt.path);
+  if (writePrompt) {
+    fs.mkdirSync(path.dirname(promptPath), { recursive: true });
+    fs.writeFileSync(promptPath, rendered);
+  }
+
+  return { promptPath, maxLoops, commands: { test: finalTest, build: finalBuild, lint: finalLint }, rendered };
+}
+
+function unquote(value) {
+  const trimmed = value.trim();
+  if (/^".*"$/.test(trimmed)) {
+    try {
+      return JSON.parse(trimmed);
+    } catch (err) {
+      return trimmed.slice(1, -1);
+    }
+  }
+  if (/^'.*'$/.test(trimmed)) return trimmed.slice(1, -1);
+  return trimmed;
+}
+
+function parseCompletionSignal(output, { completionKey = 'PROMISE', completionValue = true, exitMessageKey = 'EXIT_MESSAGE' } = {}) {
+  const signal = { found: false, promise: false, value: null, exitMessage: null };
+  const lines = String(output || '').replace(/\s+$/, '').split(/\r?\n/);
+  if (lines.length && /^\s*(```|~~~)\s*$/.test(lines[lines.length - 1])) lines.pop();
+
+  const footer = {};
+  for (let index = lines.length - 1; index >= 0; index -= 1) {
+    const match = lines[index].match(/^\s*([A-Za-z_][\w-]*)\s*:\s*(.*)$/);
+    if (!match || ![completionKey, exitMessageKey].includes(match[1]) || match[1] in footer) break;
+    footer[match[1]] = match[2];
+  }
+  if (!(completionKey in footer)) return signal;
+
+  signal.found = true;
+  signal.value = unquote(footer[completionKey]);
+  signal.promise = signal.value.toLowerCase() === String(completionValue).trim().toLowerCase();
+  if (exitMessageKey in footer) signal.exitMessage = unquote(footer[exitMessageKey]);
+  return signal;
+}
+
+function prepareCodexArgs(config, repoRoot) {
+  const args = ['exec'];
+  if (config.codex.yolo) {
+    args.push('--yolo');
+  } else if (config.codex.fullAuto) {
+    args.push('--full-auto');
+  }
+  args.push('--cd', repoRoot, '--output-last-message');
+  if (config.codex.model) args.push('--model', config.codex.model);
+  if (config.codex.sandbox) args.push('--sandbox', config.codex.sandbox);
+  if (config.codex.search) args.push('--search');
+  if (Array.isArray(config.codex.extraArgs)) args.push(...config.codex.extraArgs);
+  return args;
+}
+
+function formatCommand(cmd, args) {
+  const parts = [cmd, ...args].map((part) => (part.includes(' ') ? `"${part}"` : part));
+  return parts.join(' ');
+}
+
+function resolveCodexPath(config) {
+  const configured = config.codex.path || 'codex';
+  if (process.platform === 'win32' && (configured === 'codex' || configured === 'codex.cmd')) {
+    const resolved = resolveCodexFromPath();
+    return resolved || 'codex.cmd';
+  }
+  return configured;
+}
+
+function fillPlaceholders(value, vars) {
+  return value.replace(/\{(\w+)\}/g, (match, name) => (vars[name] !== undefined ? String(vars[name]) : match));
+}
+
+const AGENT_ADAPTERS = {
+  codex: {
+    label: () => 'Codex',
+    promptVia: () => 'stdin',
+    command: (config, repoRoot) => ({ cmd: resolveCodexPath(config), args: prepareCodexArgs(config, repoRoot) }),
+    completed: (config, output) => parseCompletionSignal(output, config.prompt).promise
+  },
+  command: {
+    label: (config) => path.basename(config.agent.command || 'agent'),
+    promptVia: (config) => config.agent.promptVia,
+    command: (config, repoRoot, vars) => {
+      const values = { repoRoot, ...vars };
+      const args = config.agent.args.map((arg) => fillPlaceholders(arg, values));
+      if (config.agent.promptVia === 'file' && !config.agent.args.some((arg) => arg.includes('{promptFile}'))) {
+        args.push(values.promptFile);
+      }
+      return { cmd: config.agent.command, args };
+    },
+    completed: (config, output) => completedByPattern(config, output)
+  },
+  replay: {
+    label: () => 'Replay',
+    promptVia: () => 'stdin',
+    command: (config, repoRoot, vars) => ({
+      cmd: process.execPath,
+      args: [path.join(__dirname, 'cli.js'), 'replay-iteration', path.join(resolveReplayDir(repoRoot, config), `iter-${vars.iteration}`, 'fixture')]
+    }),
+    completed: (config, output) => completedByPattern(config, output)
+  }
+};
+
+function completedByPattern(config, output) {
+  if (!config.agent.completionPattern) return parseCompletionSignal(output, config.prompt).promise;
+  return new RegExp(config.agent.completionPattern, 'm').test(output || '');
+}
+
+function resolveAgent(config) {
+  const adapter = AGENT_ADAPTERS[config.agent.type];
+  return {
+    type: config.agent.type,
+    label: adapter.label(config),
+    promptVia: adapter.promptVia(config),
+    command: (repoRoot, vars = {}) => adapter.command(config, repoRoot, vars),
+    completed: (output) => adapter.completed(config, output)
+  };
+}
+
+function describeAgentCommand(config, repoRoot, vars = {}) {
+  const agent = resolveAgent(config);
+  const { cmd, args } = agent.command(repoRoot, vars);
+  return `${formatCommand(cmd, args)}${agent.promptVia === 'stdin' ? ' < prompt' : ''}`;
+}
+
+function resolveCodexFromPath() {
+  const result = run('where', ['codex'], { encoding: 'utf8' });
+  if (result.status !== 0) return null;
+  const lines = (result.stdout || '').split(/\r?\n/).map((line) => line.trim()).filter(Boolean);
+  if (lines.length === 0) return null;
+  const exe = lines.find((line) => line.toLowerCase().endsWith('.exe'));
+  if (exe) return exe;
+  const bare = lines.find((line) => !/\.(cmd|bat|ps1)$/i.test(line));
+  return bare || lines[0];
+}
+
+function ensureLogDirs(repoRoot, config, runId) {
+  const baseDir = path.join(repoRoot, config.logging.dir, runId);
+  fs.mkdirSync(baseDir, { recursive: true });
+  return baseDir;
+}
+
+function logIteration(baseDir, iteration, data) {
+  const iterDir = path.join(baseDir, `iter-${iteration}`);
+  fs.mkdirSync(iterDir, { recursive: true });
+  if (data.prompt) fs.writeFileSync(path.join(iterDir, 'prompt.md'), data.prompt);
+  if (data.output) fs.writeFileSync(path.join(iterDir, 'output.txt'), data.output);
+  if (data.diff) fs.writeFileSync(path.join(iterDir, 'diff.patch'), data.diff);
+  if (data.meta) writeJson(path.join(iterDir, 'meta.json'), data.meta);
+}
+
+function commitIteration(repoRoot, config, iteration, summary, warn = () => {}) {
+  const statusArgs = ['status', '--porcelain'];
+  if (config.loop.ignoreUntrackedForNoDiff) statusArgs.push('-uno');
+  const status = git(statusArgs, { cwd: repoRoot });
+  if (status.stdout.trim().length === 0 && !config.git.allowEmptyCommit) return null;
+  if (config.git.stageOnCommit === 'all') {
+    git(['add', '.'], { cwd: repoRoot });
+  } else {
+    git(['add', '-u'], { cwd: repoRoot });
+  }
+  if (config.logging.commitLogs) {
+    git(['add', '-f', config.logging.dir], { cwd: repoRoot });
+  }
+  const message = config.git.commitMessageTemplate
+    .replace('{n}', iteration)
+    .replace('{summary}', summary);
+  const args = ['commit', '-m', message];
+  if (config.git.allowEmptyCommit) args.push('--allow-empty');
+  const commit = git(args, { cwd: repoRoot });
+  if (commit.status !== 0) {
+    warn(commit.stderr || 'Commit failed.');
+    return null;
+  }
+  return currentHead(repoRoot);
+}
+
+function isCommandSet(command) {
+  return Boolean(command) && command.trim().length > 0 && command.trim() !== '(none)';
+}
+
+const GATE_NAMES = ['test', 'build', 'lint'];
+
+const STOP_TERMS = ['promise', 'gates', ...GATE_NAMES, 'no-diff', 'checklist'];
+
+function stopPolicyExpression(config) {
+  if (config.loop.stopWhen && config.loop.stopWhen.trim()) return config.loop.stopWhen.trim();
+  const legacy = [];
+  if (config.loop.stopOnPromise) legacy.push('promise');
+  if (config.loop.stopOnTestsPass) legacy.push('test');
+  if (config.loop.stopOnNoDiff) legacy.push('no-diff');
+  return legacy.join(' || ');
+}
+
+function parseStopPolicy(expression) {
+  return expression
+    .split(/\s*(?:\|\||\bor\b)\s*/i)
+    .map((clause) => clause.split(/\s*(?:&&|\band\b)\s*/i).map((term) => term.trim().toLowerCase()).filter(Boolean))
+    .filter((clause) => clause.length > 0);
+}
+
+function policyGateNames(clauses) {
+  const terms = new Set(clauses.flat());
+  return GATE_NAMES.filter((name) => terms.has(name) || terms.has('gates'));
+}
+
+function runOutcome(state) {
+  if (!state || !state.stopReason) return null;
+  if (state.stopReason === 'phases-complete') return 'completed';
+  if (state.stopReason === 'phase-budget') return 'max-loops';
+  if (state.stopClause) return 'completed';
+  if (['max-loops', 'stalled', 'interrupted'].includes(state.stopReason)) return state.stopReason;
+  return 'stopped';
+}
+
+function stopReasonForClause(clause) {
+  if (clause.length > 1) return 'policy';
+  const legacy = { promise: 'promise', test: 'tests-pass', 'no-diff': 'no-diff', checklist: 'checklist-complete' };
+  return legacy[clause[0]] || `${clause[0]}-pass`;
+}
+
+function formatGateResults(gates) {
+  return gates.map((gate) => {
+    let status = 'pass';
+    if (gate.timedOut) status = 'timeout';
+    else if (gate.exitCode !== 0) status = `fail (exit ${gate.exitCode})`;
+    return `${gate.name} ${status} ${formatDuration(gate.durationMs)}`;
+  }).join(', ');
+}
+
+function pickTimeout(limitMs, limit, deadline) {
+  if (!deadline) return { limit, ms: limitMs };
+  const remaining = Math.max(1, deadline - Date.now());
+  if (!limitMs || remaining < limitMs) return { limit: 'run', ms: remaining };
+  return { limit, ms: limitMs };
+}
+
+async function runGateCommands(repoRoot, commands, names, { timeoutFor = null, interrupt = null, warn = () => {} } = {}) {
+  const results = [];
+  for (const name of names.filter((gateName) => isCommandSet(commands[gateName]))) {
+    if (interrupt && interrupt.signal) break;
+    const timeout = timeoutFor ? timeoutFor() : { limit: 'gate', ms: 0 };
+    const proc = spawnProcess(commands[name], [], { cwd: repoRoot, shell: true, timeoutMs: timeout.ms });
+    if (interrupt) interrupt.stop = proc.stop;
+    const result = await proc.done;
+    if (interrupt) interrupt.stop = null;
+    if (result.timedOut) {
+      warn(`${name} command hit the ${timeout.limit} timeout after ${Math.round(timeout.ms / 1000)}s.`);
+    }
+    results.push({
+      name,
+      command: commands[name],
+      exitCode: result.status,
+      timedOut: result.timedOut,
+      timeout: result.timedOut ? { limit: timeout.limit, ms: Math.round(timeout.ms) } : null,
+      durationMs: result.durationMs,
+      output: `${result.stdout || ''}${result.stderr || ''}`
+    });
+  }
+  return results;
+}
+
+const HOOK_NAMES = ['preRun', 'preIteration', 'postIteration', 'onComplete', 'onFailure'];
+
+function hookEnv(name, { runId, branch, logsRoot, iteration, exitCode, promiseFound, commit, stopReason, gates = [] }) {
+  const value = (item) => (item === undefined || item === null ? '' : String(item));
+  return {
+    CODEX_LOOP_HOOK: name,
+    CODEX_LOOP_RUN_ID: value(runId),
+    CODEX_LOOP_BRANCH: value(branch),
+    CODEX_LOOP_ITERATION: value(iteration),
+    CODEX_LOOP_LOG_DIR: logsRoot,
+    CODEX_LOOP_ITERATION_LOG_DIR: path.join(logsRoot, `iter-${iteration}`),
+    CODEX_LOOP_EXIT_CODE: value(exitCode),
+    CODEX_LOOP_PROMISE: value(promiseFound),
+    CODEX_LOOP_COMMIT: value(commit),
+    CODEX_LOOP_STOP_REASON: value(stopReason),
+    CODEX_LOOP_GATES: JSON.stringify(gates.map((gate) => ({ name: gate.name, exitCode: gate.exitCode, timedOut: gate.timedOut }))),
+    CODEX_LOOP_GATES_FAILED: gates.filter((gate) => gate.exitCode !== 0 || gate.timedOut).map((gate) => gate.name).join(',')
+  };
+}
+
+const HOOK_ENV_KEYS = Object.keys(hookEnv('', { logsRoot: '', iteration: 0 }));
+
+function hookFailed(result) {
+  return Boolean(result) && (result.exitCode !== 0 || result.timedOut);
+}
+
+async function runHook(repoRoot, config, name, { vars, interrupt = null, deadline = 0, warn = () => {} }) {
+  const command = config.hooks[name];
+  if (!isCommandSet(command)) return null;
+  const timeout = pickTimeout(parseDuration(config.timeouts.hook), 'hook', deadline);
+  const proc = spawnProcess(command, [], {
+    cwd: repoRoot,
+    shell: true,
+    env: { ...process.env, ...hookEnv(name, vars) },
+    timeoutMs: timeout.ms
+  });
+  if (interrupt) interrupt.stop = proc.stop;
+  const result = await proc.done;
+  if (interrupt) interrupt.stop = null;
+
+  const iterDir = path.join(vars.logsRoot, `iter-${vars.iteration}`);
+  fs.mkdirSync(iterDir, { recursive: true });
+  fs.writeFileSync(path.join(iterDir, `hook-${name}.txt`), `${result.stdout || ''}${result.stderr || ''}`);
+  const summary = {
+    name,
+    command,
+    exitCode: result.status,
+    timedOut: result.timedOut,
+    durationMs: result.durationMs
+  };
+  if (result.error) {
+    warn(`Failed to run ${name} hook: ${result.error.message}`);
+  } else if (hookFailed(summary)) {
+    const reason = result.timedOut ? `hit the ${timeout.limit} timeout` : `exited with ${result.status}`;
+    warn(`${name} hook ${reason}; output is in iter-${vars.iteration}/hook-${name}.txt.`);
+  }
+  return summary;
+}
+
+function initProgressJournal(repoRoot, config, runId) {
+  const journalPath = path.join(repoRoot, config.progress.path);
+  fs.mkdirSync(path.dirname(journalPath), { recursive: true });
+  fs.writeFileSync(journalPath, `# Progress Journal\n\nRun: ${runId}\n`);
+}
+
+function appendProgressEntry(repoRoot, config, iteration, { output, exitCode, gates, diffStat }) {
+  const journalPath = path.join(repoRoot, config.progress.path);
+  const maxLines = config.progress.maxOutputLines;
+  const lines = [
+    '',
+    `## Iteration ${iteration}`,
+    `- Codex exit code: ${exitCode === null ? 'none (killed)' : exitCode}`
+  ];
+  gates.forEach((gate) => {
+    lines.push(`- ${gate.name}: ${gate.exitCode === 0 ? 'pass' : `fail (exit ${gate.exitCode})`} (\`${gate.command}\`)`);
+  });
+  lines.push('', '### Last message', '```text', trimOutput(output, maxLines) || '(no output)', '```');
+  gates.filter((gate) => gate.exitCode !== 0).forEach((gate) => {
+    lines.push('', `### Failing ${gate.name} output`, '```text', trimOutput(gate.output, maxLines) || '(no output)', '```');
+  });
+  lines.push('', '### Diff stat', '```text', diffStat.replace(/\s+$/, '') || '(no tracked changes)', '```');
+  fs.mkdirSync(path.dirname(journalPath), { recursive: true });
+  fs.appendFileSync(journalPath, `${lines.join('\n')}\n`);
+}
+
+function readProgressSection(repoRoot, config) {
+  const journalPath = path.join(repoRoot, config.progress.path);
+  if (!fs.existsSync(journalPath)) return '';
+  const entries = fs.readFileSync(journalPath, 'utf8').split(/^(?=## Iteration \d+)/m).slice(1);
+  if (entries.length === 0) return '';
+  const recent = entries.slice(-config.progress.maxEntries).map((entry) => entry.trim().replace(/^##/, '###').replace(/\n###/g, '\n####'));
+  return [
+    '# Progress From Previous Iterations',
+    '',
+    `The loop records what happened in earlier iterations of this run (latest ${recent.length} shown; full journal in ${config.progress.path}). Use it to avoid repeating failed approaches. Do not edit the journal.`,
+    '',
+    recent.join('\n\n')
+  ].join('\n');
+}
+
+function checklistItems(promptText) {
+  return acceptanceBullets(extractSection(promptText, 'Acceptance Criteria'));
+}
+
+function initChecklist(repoRoot, config, promptText) {
+  const items = checklistItems(promptText);
+  const checklistPath = path.join(repoRoot, config.checklist.path);
+  fs.mkdirSync(path.dirname(checklistPath), { recursive: true });
+  fs.writeFileSync(checklistPath, [
+    '# Acceptance Checklist',
+    '',
+    'Mark an item done by changing `- [ ]` to `- [x]`. Keep the item text unchanged.',
+    '',
+    ...items.map((item) => `- [ ] ${item}`),
+    ''
+  ].join('\n'));
+  return items.length;
+}
+
+function readChecklist(repoRoot, config) {
+  const checklistPath = path.join(repoRoot, config.checklist.path);
+  if (!fs.existsSync(checklistPath)) return null;
+  const items = [];
+  const malformed = [];
+  fs.readFileSync(checklistPath, 'utf8').split(/\r?\n/).forEach((line) => {
+    const match = line.match(/^\s*[-*]\s+\[([ xX])\]\s+(.+?)\s*$/);
+    if (match) items.push({ text: match[2], checked: match[1] !== ' ' });
+    else if (/^\s*[-*]\s+\[/.test(line)) malformed.push(line.trim());
+  });
+  return { items, malformed };
+}
+
+function checklistStatus(expected, file, previouslyChecked) {
+  const checked = expected.filter((text) => file.items.some((item) => item.checked && item.text === text));
+  return {
+    total: expected.length,
+    done: checked.length,
+    percent: Math.round((checked.length / expected.length) * 100),
+    checked,
+    reopened: previouslyChecked.filter((text) => expected.includes(text) && !checked.includes(text)),
+    missing: expected.filter((text) => !file.items.some((item) => item.text === text)),
+    unexpected: file.items.map((item) => item.text).filter((text) => !expected.includes(text)),
+    malformed: file.malformed
+  };
+}
+
+function checklistSection(config, done, total) {
+  return [
+    '# Acceptance Checklist',
+    '',
+    `Track the acceptance criteria in ${config.checklist.path} (${done} of ${total} checked). When an item is done and verified, change its \`- [ ]\` to \`- [x]\`; if it stops being true, change it back. Do not reword, add, remove or reorder items.`
+  ].join('\n');
+}
+
+function phaseCommands(config, phase) {
+  const own = phase.commands || {};
+  return GATE_NAMES.some((name) => isCommandSet(own[name])) ? own : config.commands;
+}
+
+function checkPhases(config) {
+  (config.phases || []).forEach((phase, index) => {
+    const commands = phaseCommands(config, phase);
+    if (!GATE_NAMES.some((name) => isCommandSet(commands[name]))) {
+      throw new ConfigError(`Phase ${index + 1} (${phase.name}) has no gate commands; set phases[${index}].commands or commands.test/build/lint.`, { code: 'PHASE_NO_GATES' });
+    }
+  });
+}
+
+function checkStopPolicy(config) {
+  if (config.phases.length) return;
+  const stopClauses = parseStopPolicy(stopPolicyExpression(config));
+  const configured = GATE_NAMES.filter((name) => isCommandSet(config.commands[name]));
+  const missing = GATE_NAMES.filter((name) => stopClauses.some((clause) => clause.includes(name)) && !configured.includes(name));
+  if (missing.length) {
+    throw new ConfigError(`Stop policy "${stopPolicyExpression(config)}" uses ${missing.map((name) => `"${name}"`).join(', ')} but no ${missing.join('/')} command is configured; set commands.${missing[0]} or change the policy.`, { code: 'STOP_POLICY_GATE' });
+  }
+  if (stopClauses.some((clause) => clause.includes('gates')) && configured.length === 0) {
+    throw new ConfigError(`Stop policy "${stopPolicyExpression(config)}" uses "gates" but no test, build or lint command is configured.`, { code: 'STOP_POLICY_GATE' });
+  }
+}
+
+function phaseSection(config, index, iteration) {
+  const phases = config.phases;
+  const phase = phases[index];
+  const commands = phaseCommands(config, phase);
+  const lines = [`# Current Phase (${index + 1} of ${phases.length}): ${phase.name}`, ''];
+  if (index > 0) lines.push(`Completed phases: ${phases.slice(0, index).map((item) => item.name).join(', ')}.`, '');
+  lines.push(`Goal: ${phase.goal}`);
+  if (phase.acceptanceCriteria && phase.acceptanceCriteria.length) {
+    lines.push('', 'Acceptance criteria:', ...phase.acceptanceCriteria.map((item) => `- ${item}`));
+  }
+  const gates = GATE_NAMES.filter((name) => isCommandSet(commands[name])).map((name) => `${name} (\`${commands[name]}\`)`);
+  lines.push('', `Work only on this phase. The loop moves on when these gates pass: ${gates.join(', ')}.`);
+  if (phase.maxLoops) lines.push(`This is iteration ${iteration} of ${phase.maxLoops} for this phase.`);
+  return lines.join('\n');
+}
+
+function hashText(text) {
+  return crypto.createHash('sha1').update(text || '').digest('hex');
+}
+
+function createStallTracker(threshold) {
+  const seenDiffs = [];
+  let lastGates = null;
+  const counts = { diff: 0, exit: 0, gates: 0 };
+
+  return {
+    record({ diff, exitCode, gates }) {
+      const diffHash = hashText(diff);
+      const repeatedDiff = seenDiffs.includes(diffHash);
+      counts.diff = repeatedDiff ? counts.diff + 1 : 0;
+      const diffKind = seenDiffs[seenDiffs.length - 1] === diffHash ? 'repeated-diff' : 'oscillation';
+      seenDiffs.push(diffHash);
+
+      counts.exit = exitCode === 0 ? 0 : counts.exit + 1;
+
+      const gateKey = gates.map((gate) => `${gate.name}:${gate.exitCode}:${gate.timedOut}:${hashText(gate.output)}`).join('|');
+      const gatesFailing = gates.some((gate) => gate.exitCode !== 0 || gate.timedOut);
+      counts.gates = gatesFailing && gateKey === lastGates ? counts.gates + 1 : 0;
+      lastGates = gateKey;
+
+      let stall = null;
+      if (threshold > 0) {
+        if (counts.exit >= threshold) {
+          stall = { kind: 'codex-failures', count: counts.exit, detail: `Codex exited non-zero ${counts.exit} iterations in a row` };
+        } else if (counts.diff >= threshold) {
+          stall = diffKind === 'repeated-diff'
+            ? { kind: diffKind, count: counts.diff, detail: `the same diff came back ${counts.diff} iterations in a row` }
+            : { kind: diffKind, count: counts.diff, detail: `the last ${counts.diff} diffs repeat earlier ones (changes are flipping back and forth)` };
+        } else if (counts.gates >= threshold) {
+          stall = { kind: 'unchanged-gates', count: counts.gates, detail: `failing gate results unchanged for ${counts.gates} iterations` };
+        }
+      }
+      return { diffHash, stall };
+    }
+  };
+}
+
+function stallEscapeSection(stall) {
+  return [
+    '# The Loop Has Stalled',
+    '',
+    `codex-loop stopped seeing progress: ${stall.detail}.`,
+    'Do not attempt another fix in this iteration. Instead, reply with a short summary of what is blocking you:',
+    '- what you tried and why it did not work',
+    '- what is missing (information, access, a decision, a failing dependency)',
+    '- what a human should do before the loop is run again'
+  ].join('\n');
+}
+
+function snapshotWorktree(repoRoot) {
+  const indexFile = path.join(os.tmpdir(), `codex-loop-index-${process.pid}-${Date.now()}`);
+  const env = { ...process.env, GIT_INDEX_FILE: indexFile };
+  // start from the real index so git can reuse its stat cache instead of hashing every file
+  const realIndex = path.resolve(repoRoot, git(['rev-parse', '--git-path', 'index'], { cwd: repoRoot }).stdout.trim());
+  if (fs.existsSync(realIndex)) fs.copyFileSync(realIndex, indexFile);
+  else git(['read-tree', 'HEAD'], { cwd: repoRoot, env });
+  git(['add', '-A'], { cwd: repoRoot, env });
+  const tree = git(['write-tree'], { cwd: repoRoot, env }).stdout.trim();
+  fs.rmSync(indexFile, { force: true });
+  return tree;
+}
+
+function recordFixture(repoRoot, logsRoot, iteration, result, treeBefore) {
+  const fixtureDir = path.join(logsRoot, `iter-${iteration}`, 'fixture');
+  const treeAfter = snapshotWorktree(repoRoot);
+  const changes = git(['diff', '--binary', treeBefore, treeAfter], { cwd: repoRoot, maxBuffer: 50 * 1024 * 1024 });
+  fs.mkdirSync(fixtureDir, { recursive: true });
+  fs.writeFileSync(path.join(fixtureDir, 'stdout.txt'), result.stdout || '');
+  fs.writeFileSync(path.join(fixtureDir, 'stderr.txt'), result.stderr || '');
+  fs.writeFileSync(path.join(fixtureDir, 'changes.patch'), changes.stdout || '');
+  writeJson(path.join(fixtureDir, 'result.json'), {
+    exitCode: result.status,
+    signal: result.signal,
+    timedOut: result.timedOut
+  });
+}
+
+function globToRegExp(pattern) {
+  let glob = pattern.trim().replace(/\\/g, '/').replace(/^\.\//, '');
+  if (glob.endsWith('/')) glob += '**';
+  let source = '';
+  for (let k = 0; k < glob.length; k += 1) {
+    const char = glob[k];
+    if (char === '*' && glob[k + 1] === '*') {
+      k += 1;
+      if (glob[k + 1] === '/') {
+        k += 1;
+        source += '(?:.*/)?';
+      } else {
+        source += '.*';
+      }
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  // like .gitignore, a pattern without a slash matches the file name in any directory
+  return new RegExp(`^${glob.includes('/') ? '' : '(?:.*/)?'}${source}$`);
+}
+
+function guardrailsEnabled(config) {
+  return config.guardrails.protectedPaths.length > 0 || config.guardrails.allowedPaths.length > 0;
+}
+
+function guardrailViolations(config, files) {
+  const protectedPaths = config.guardrails.protectedPaths.map((pattern) => ({ pattern, regex: globToRegExp(pattern) }));
+  const allowedPaths = config.guardrails.allowedPaths.map(globToRegExp);
+  return files.flatMap((file) => {
+    const match = protectedPaths.find(({ regex }) => regex.test(file));
+    if (match) return [{ path: file, rule: 'protected', pattern: match.pattern }];
+    if (allowedPaths.length && !allowedPaths.some((regex) => regex.test(file))) return [{ path: file, rule: 'not-allowed' }];
+    return [];
+  });
+}
+
+// drops the folders a reverted new file leaves empty, up to the repo root
+function removeEmptyParents(repoRoot, file) {
+  for (let dir = path.posix.dirname(file); dir !== '.'; dir = path.posix.dirname(dir)) {
+    const absolute = path.join(repoRoot, dir);
+    if (!fs.existsSync(absolute) || fs.readdirSync(absolute).length) return;
+    fs.rmdirSync(absolute);
+  }
+}
+
+function enforceGuardrails(repoRoot, config, logsRoot, iteration, treeBefore) {
+  const treeAfter = snapshotWorktree(repoRoot);
+  const changed = git(['diff', '--name-only', '--no-renames', '-z', treeBefore, treeAfter], { cwd: repoRoot, maxBuffer: 20 * 1024 * 1024 });
+  const ownPaths = [config.logging.dir, '.codex/state.json', config.progress.path, config.checklist.path]
+    .map((item) => item.replace(/\\/g, '/').replace(/\/+$/, ''));
+  const files = changed.stdout.split('\0').filter(Boolean)
+    .filter((file) => !ownPaths.some((own) => file === own || file.startsWith(`${own}/`)));
+  const violations = guardrailViolations(config, files);
+  if (violations.length === 0) return null;
+
+  const paths = violations.map((violation) => violation.path);
+  const iterDir = path.join(logsRoot, `iter-${iteration}`);
+  fs.mkdirSync(iterDir, { recursive: true });
+  const patch = git(['diff', '--binary', treeBefore, treeAfter, '--', ...paths], { cwd: repoRoot, maxBuffer: 50 * 1024 * 1024 });
+  fs.writeFileSync(path.join(iterDir, 'guardrails.patch'), patch.stdout || '');
+  if (config.guardrails.onViolation === 'stop') return { action: 'blocked', violations };
+
+  paths.forEach((file) => {
+    if (git(['cat-file', '-e', `${treeBefore}:${file}`], { cwd: repoRoot }).status === 0) {
+      git(['restore', `--source=${treeBefore}`, '--staged', '--worktree', '--', file], { cwd: repoRoot });
+    } else {
+      git(['rm', '--cached', '--quiet', '--ignore-unmatch', '--', file], { cwd: repoRoot });
+      fs.rmSync(path.join(repoRoot, file), { force: true });
+      removeEmptyParents(repoRoot, file);
+    }
+  });
+  return { action: 'reverted', violations };
+}
+
+function describeViolations(violations) {
+  return violations.map((violation) => (violation.rule === 'protected'
+    ? `${violation.path} (protected by ${violation.pattern})`
+    : `${violation.path} (outside allowedPaths)`)).join(', ');
+}
+
+function resolveReplayDir(repoRoot, config) {
+  const asPath = path.resolve(repoRoot, config.agent.replay);
+  if (config.agent.replay.includes(path.sep) && fs.existsSync(asPath)) return asPath;
+  return path.join(repoRoot, config.logging.dir, config.agent.replay);
+}
+
+function countRecordedIterations(replayDir) {
+  if (!fs.existsSync(replayDir)) return 0;
+  return listIterationNumbers(replayDir)
+    .filter((n) => n > 0 && readLogFile(path.join(replayDir, `iter-${n}`, 'fixture', 'result.json')) !== null)
+    .length;
+}
+
+function writeState(repoRoot, data) {
+  writeJson(path.join(repoRoot, '.codex', 'state.json'), data);
+}
+
+function writeRunState(repoRoot, logsRoot, data) {
+  writeState(repoRoot, data);
+  writeJson(path.join(logsRoot, 'run.json'), data);
+}
+
+function readState(repoRoot) {
+  return readJson(path.join(repoRoot, '.codex', 'state.json'));
+}
+
+function loadResumeState(repoRoot, config, maxLoopsOverride) {
+  const fail = (message) => {
+    throw new ResumeError(`Cannot resume: ${message}`);
+  };
+
+  const state = readState(repoRoot);
+  if (!state || !state.runId) fail('no previous run found in .codex/state.json.');
+  if (state.repoRoot && path.resolve(state.repoRoot) !== path.resolve(repoRoot)) {
+    fail(`state was recorded for ${state.repoRoot}, not ${repoRoot}.`);
+  }
+  const resumable = ['prompt-only', 'max-loops', 'interrupted', 'iteration-timeout', 'gate-timeout', 'run-timeout', 'stalled', 'rolled-back', 'hook-failed', 'phase-budget', 'guardrails'];
+  if (state.stopReason && !resumable.includes(state.stopReason)) {
+    fail(`run ${state.runId} already finished (${state.stopReason}).`);
+  }
+
+  const branchResult = git(['rev-parse', '--abbrev-ref', 'HEAD'], { cwd: repoRoot });
+  const branch = branchResult.status === 0 ? branchResult.stdout.trim() : 'unknown';
+  if (branch !== state.branch) {
+    fail(`run ${state.runId} was on branch ${state.branch}, but the repo is on ${branch}.`);
+  }
+  if (!state.head) fail(`state for run ${state.runId} has no recorded HEAD.`);
+  const head = currentHead(repoRoot);
+  if (head !== state.head) {
+    fail(`HEAD (${head ? head.slice(0, 12) : 'none'}) no longer matches the recorded commit ${state.head.slice(0, 12)}.`);
+  }
+
+  const logsRoot = path.join(repoRoot, config.logging.dir, state.runId);
+  if (!fs.existsSync(logsRoot)) fail(`log directory ${logsRoot} is missing.`);
+
+  const snapshotPath = path.join(logsRoot, 'iter-0', 'prompt.md');
+  const promptPath = path.join(repoRoot, config.prompt.path);
+  const notices = [];
+  let promptText = '';
+  if (fs.existsSync(snapshotPath)) {
+    promptText = fs.readFileSync(snapshotPath, 'utf8');
+  } else if (fs.existsSync(promptPath)) {
+    notices.push(`Prompt snapshot missing for run ${state.runId}; using ${config.prompt.path}.`);
+    promptText = fs.readFileSync(promptPath, 'utf8');
+  } else {
+    fail('no prompt snapshot or prompt file found.');
+  }
+
+  const iteration = Number(state.iteration) || 0;
+  const maxLoops = maxLoopsOverride || Number(state.maxLoops) || config.loop.maxLoops;
+  if (iteration >= maxLoops) {
+    fail(`run ${state.runId} already used ${iteration} of ${maxLoops} iterations. Pass a higher --max-loops to continue.`);
+  }
+
+  const startMeta = readLogJson(path.join(logsRoot, 'iter-0', 'meta.json')) || {};
+  const phases = startMeta.phases || config.phases;
+
+  return { state, branch, runId: state.runId, logsRoot, promptText, startIteration: iteration + 1, maxLoops, phases, notices };
+}
+
+function readLogFile(filePath) {
+  if (fs.existsSync(filePath)) return fs.readFileSync(filePath, 'utf8');
+  if (fs.existsSync(`${filePath}.gz`)) return zlib.gunzipSync(fs.readFileSync(`${filePath}.gz`)).toString('utf8');
+  return null;
+}
+
+function readLogJson(filePath) {
+  const text = readLogFile(filePath);
+  if (!text) return null;
+  try {
+    return JSON.parse(text);
+  } catch (err) {
+    return null;
+  }
+}
+
+function listFiles(dir) {
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap((entry) => {
+    const entryPath = path.join(dir, entry.name);
+    return entry.isDirectory() ? listFiles(entryPath) : [entryPath];
+  });
+}
+
+function listRunIds(logsDir) {
+  if (!fs.existsSync(logsDir)) return [];
+  return fs.readdirSync(logsDir, { withFileTypes: true })
+    .filter((entry) => entry.isDirectory() && /^\d{8}-\d{6}/.test(entry.name))
+    .map((entry) => entry.name)
+    .sort();
+}
+
+function listIterationNumbers(runDir) {
+  return fs.readdirSync(runDir)
+    .map((name) => name.match(/^iter-(\d+)$/))
+    .filter(Boolean)
+    .map((match) => Number(match[1]))
+    .sort((a, b) => a - b);
+}
+
+function runIdToDate(runId) {
+  const match = runId.match(/^(\d{4})(\d{2})(\d{2})-(\d{2})(\d{2})(\d{2})/);
+  if (!match) return null;
+  const [, year, month, day, hour, minute, second] = match.map(Number);
+  return new Date(year, month - 1, day, hour, minute, second);
+}
+
+function describeRun(logsDir, runId) {
+  const runDir = path.join(logsDir, runId);
+  const run = readLogJson(path.join(runDir, 'run.json'));
+  const first = readLogJson(path.join(runDir, 'iter-0', 'meta.json')) || {};
+  const iterations = listIterationNumbers(runDir).filter((n) => n > 0).map((n) => ({
+    iteration: n,
+    meta: readLogJson(path.join(runDir, `iter-${n}`, 'meta.json')) || {}
+  }));
+  let stopReason = 'unknown';
+  if (run) stopReason = run.stopReason || 'in progress';
+  const startedAt = first.startedAt ? new Date(first.startedAt) : runIdToDate(runId);
+  return {
+    runId,
+    runDir,
+    branch: (run && run.branch) || first.branch || '?',
+    baseHead: first.head || null,
+    baseBranch: first.baseBranch || null,
+    createdBranch: Boolean(first.createdBranch),
+    iterations,
+    stopReason,
+    durationMs: iterations.reduce((sum, { meta }) => sum + (meta.durationMs || 0), 0),
+    startedAt,
+    archived: listFiles(runDir).some((file) => file.endsWith('.gz'))
+  };
+}
+
+function formatDuration(ms) {
+  if (!ms) return '0s';
+  const totalSeconds = Math.round(ms / 1000);
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+  if (hours) return `${hours}h${String(minutes).padStart(2, '0')}m`;
+  if (minutes) return `${minutes}m${String(seconds).padStart(2, '0')}s`;
+  return `${seconds}s`;
+}
+
+function gzipRunDir(runDir) {
+  listFiles(runDir).filter((file) => !file.endsWith('.gz')).forEach((file) => {
+    fs.writeFileSync(`${file}.gz`, zlib.gzipSync(fs.readFileSync(file)));
+    fs.unlinkSync(file);
+  });
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function truncateLines(text, maxLines) {
+  const lines = text.replace(/\s+$/, '').split(/\r?\n/);
+  if (lines.length <= maxLines) return lines.join('\n');
+  return `${lines.slice(0, maxLines).join('\n')}\n... (${lines.length - maxLines} more lines)`;
+}
+
+function highlightDiffHtml(diff) {
+  return diff.split('\n').map((line) => {
+    let cls = '';
+    if (/^(diff --git|index |--- |\+\+\+ )/.test(line)) cls = 'meta';
+    else if (line.startsWith('@@')) cls = 'hunk';
+    else if (line.startsWith('+')) cls = 'add';
+    else if (line.startsWith('-')) cls = 'del';
+    return cls ? `<span class="${cls}">${escapeHtml(line)}</span>` : escapeHtml(line);
+  }).join('\n');
+}
+
+function commitTemplatePattern(template, iteration) {
+  const escaped = template.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`^${escaped.replace('\\{n\\}', String(iteration)).replace('\\{summary\\}', '.*')}$`);
+}
+
+function commitExists(repoRoot, sha) {
+  return Boolean(sha) && git(['cat-file', '-e', `${sha}^{commit}`], { cwd: repoRoot }).status === 0;
+}
+
+function resolveIterationCommits(repoRoot, config, run) {
+  const branchLog = git(['log', '--format=%H%x09%s', run.branch], { cwd: repoRoot, maxBuffer: 20 * 1024 * 1024 });
+  const branchCommits = branchLog.status === 0
+    ? branchLog.stdout.split('\n').filter(Boolean).map((line) => {
+      const [sha, ...subject] = line.split('\t');
+      return { sha, subject: subject.join('\t') };
+    })
+    : [];
+
+  return run.iterations.map(({ iteration, meta }) => {
+    let sha = commitExists(repoRoot, meta.commit) ? meta.commit : null;
+    if (!sha && !meta.commit) {
+      const pattern = commitTemplatePattern(config.git.commitMessageTemplate, iteration);
+      const match = branchCommits.find((commit) => pattern.test(commit.subject));
+      if (match) sha = match.sha;
+    }
+    return { iteration, meta, sha };
+  });
+}
+
+function collectRunReport(repoRoot, config, runId) {
+  const logsDir = path.join(repoRoot, config.logging.dir);
+  const run = describeRun(logsDir, runId);
+  const prompt = stripBom(readLogFile(path.join(run.runDir, 'iter-0', 'prompt.md')) || '');
+
+  const iterations = resolveIterationCommits(repoRoot, config, run).map(({ iteration, meta, sha }) => {
+    const iterDir = path.join(run.runDir, `iter-${iteration}`);
+    const subject = sha ? git(['log', '-1', '--format=%s', sha], { cwd: repoRoot }).stdout.trim() : '';
+    const diff = sha
+      ? git(['show', '--format=', '--patch', sha], { cwd: repoRoot, maxBuffer: 20 * 1024 * 1024 }).stdout || ''
+      : readLogFile(path.join(iterDir, 'diff.patch')) || '';
+    const diffStat = sha ? git(['show', '--format=', '--stat', sha], { cwd: repoRoot }).stdout.replace(/\s+$/, '') : '';
+    const output = readLogFile(path.join(iterDir, 'output.txt')) || '';
+    return { iteration, meta, sha, subject, diff, diffStat, summary: output ? firstLineSummary(output) : '' };
+  });
+
+  return { run, prompt, iterations };
+}
+
+function describeGates(meta) {
+  if (!meta.gates || meta.gates.length === 0) return '-';
+  return meta.gates.map((gate) => {
+    if (gate.timedOut) return `${gate.name}: timeout`;
+    return `${gate.name}: ${gate.exitCode === 0 ? 'pass' : 'fail'}`;
+  }).join(', ');
+}
+
+function describeExit(meta) {
+  const flags = [];
+  if (meta.interrupted) flags.push('interrupted');
+  if (meta.timeouts && meta.timeouts.some((timeout) => timeout.step === 'codex')) flags.push('timeout');
+  const code = meta.exitCode === null || meta.exitCode === undefined ? '-' : String(meta.exitCode);
+  return flags.length ? `${code} (${flags.join(', ')})` : code;
+}
+
+function renderReportMarkdown(report) {
+  const { run, prompt, iterations } = report;
+  const cell = (text) => String(text).replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+  const lines = [
+    `# codex-loop run ${run.runId}`,
+    '',
+    `- Branch: \`${run.branch}\``,
+    `- Stop reason: **${run.stopReason}**`,
+    `- Iterations: ${iterations.length}`,
+    `- Codex time: ${formatDuration(run.durationMs)}`,
+    `- Started: ${run.startedAt ? run.startedAt.toISOString() : 'unknown'}`
+  ];
+  if (run.baseHead) lines.push(`- Base commit: \`${run.baseHead.slice(0, 12)}\``);
+  lines.push('', '## Iterations', '');
+  if (iterations.length === 0) {
+    lines.push('No iterations were run.');
+  } else {
+    lines.push('| Iter | Exit | Duration | Gates | Commit | Summary |', '| --- | --- | --- | --- | --- | --- |');
+    iterations.forEach(({ iteration, meta, sha, summary }) => {
+      lines.push(`| ${iteration} | ${cell(describeExit(meta))} | ${formatDuration(meta.durationMs)} | ${cell(describeGates(meta))} | ${sha ? `\`${sha.slice(0, 8)}\`` : '-'} | ${cell(summary || '-')} |`);
+    });
+  }
+  const stats = iterations.filter(({ diffStat }) => diffStat);
+  if (stats.length) {
+    lines.push('', '## Changes');
+    stats.forEach(({ iteration, diffStat }) => {
+      lines.push('', `### Iteration ${iteration}`, '', '```text', diffStat, '```');
+    });
+  }
+  lines.push('', '## Prompt', '', '<details><summary>Prompt snapshot</summary>', '', '```markdown', prompt.replace(/\s+$/, ''), '```', '', '</details>', '');
+  return lines.join('\n');
+}
+
+function renderReportHtml(report) {
+  const { run, prompt, iterations } = report;
+  const rows = iterations.map(({ iteration, meta, sha, subject, summary }) => `
+      <tr>
+        <td>${iteration}</td>
+        <td>${escapeHtml(meta.startedAt ? new Date(meta.startedAt).toLocaleString() : '-')}</td>
+        <td>${escapeHtml(formatDuration(meta.durationMs))}</td>
+        <td class="${meta.exitCode === 0 ? 'ok' : 'bad'}">${escapeHtml(describeExit(meta))}</td>
+        <td>${(meta.gates || []).map((gate) => `<span class="${gate.exitCode === 0 ? 'ok' : 'bad'}">${escapeHtml(gate.name)}</span>`).join(' ') || '-'}</td>
+        <td>${sha ? `<code>${escapeHtml(sha.slice(0, 8))}</code> ${escapeHtml(subject)}` : '-'}</td>
+        <td>${escapeHtml(summary || '-')}</td>
+      </tr>`).join('');
+  const diffs = iterations.filter(({ diff }) => diff.trim()).map(({ iteration, diff, sha }) => `
+    <details>
+      <summary>Iteration ${iteration}${sha ? ` &middot; <code>${escapeHtml(sha.slice(0, 8))}</code>` : ''}</summary>
+      <pre class="diff">${highlightDiffHtml(truncateLines(diff, 2000))}</pre>
+    </details>`).join('');
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>codex-loop run ${escapeHtml(run.runId)}</title>
+<style>
+  body { font-family: -apple-system, Segoe UI, Helvetica, Arial, sans-serif; margin: 2rem auto; max-width: 1100px; color: #1f2328; padding: 0 1rem; }
+  table { border-collapse: collapse; width: 100%; margin: 1rem 0; }
+  th, td { border: 1px solid #d0d7de; padding: 0.35rem 0.6rem; text-align: left; vertical-align: top; font-size: 0.9rem; }
+  th { background: #f6f8fa; }
+  dl { display: grid; grid-template-columns: max-content auto; gap: 0.25rem 1rem; }
+  dt { font-weight: 600; }
+  dd { margin: 0; }
+  pre { background: #f6f8fa; padding: 0.75rem; overflow-x: auto; font-size: 0.8rem; line-height: 1.4; }
+  details { margin: 0.5rem 0; }
+  summary { cursor: pointer; font-weight: 600; }
+  .ok { color: #1a7f37; }
+  .bad { color: #cf222e; }
+  .diff .add { color: #1a7f37; background: #e6ffec; display: inline-block; width: 100%; }
+  .diff .del { color: #cf222e; background: #ffebe9; display: inline-block; width: 100%; }
+  .diff .hunk { color: #8250df; }
+  .diff .meta { color: #57606a; font-weight: 600; }
+</style>
+</head>
+<body>
+<h1>codex-loop run ${escapeHtml(run.runId)}</h1>
+<dl>
+  <dt>Branch</dt><dd><code>${escapeHtml(run.branch)}</code></dd>
+  <dt>Stop reason</dt><dd><strong>${escapeHtml(run.stopReason)}</strong></dd>
+  <dt>Iterations</dt><dd>${iterations.length}</dd>
+  <dt>Codex time</dt><dd>${escapeHtml(formatDuration(run.durationMs))}</dd>
+  <dt>Started</dt><dd>${escapeHtml(run.startedAt ? run.startedAt.toLocaleString() : 'unknown')}</dd>
+  ${run.baseHead ? `<dt>Base commit</dt><dd><code>${escapeHtml(run.baseHead.slice(0, 12))}</code></dd>` : ''}
+</dl>
+<h2>Timeline</h2>
+${iterations.length ? `<table>
+  <thead><tr><th>Iter</th><th>Started</th><th>Duration</th><th>Exit</th><th>Gates</th><th>Commit</th><th>Summary</th></tr></thead>
+  <tbody>${rows}
+  </tbody>
+</table>` : '<p>No iterations were run.</p>'}
+<h2>Diffs</h2>
+${diffs || '<p>No changes recorded.</p>'}
+<h2>Prompt</h2>
+<details>
+  <summary>Prompt snapshot</summary>
+  <pre>${escapeHtml(prompt)}</pre>
+</details>
+<p><small>Generated by codex-loop on ${escapeHtml(new Date().toISOString())}.</small></p>
+</body>
+</html>
+`;
+}
+
+function writeRunReport(repoRoot, config, runId, outDir) {
+  const report = collectRunReport(repoRoot, config, runId);
+  const targetDir = outDir || report.run.runDir;
+  fs.mkdirSync(targetDir, { recursive: true });
+  const htmlPath = path.join(targetDir, 'report.html');
+  const markdownPath = path.join(targetDir, 'report.md');
+  fs.writeFileSync(htmlPath, renderReportHtml(report));
+  fs.writeFileSync(markdownPath, renderReportMarkdown(report));
+  return { htmlPath, markdownPath };
+}
+
+function renderPullRequest(report, runState = {}) {
+  const { run, prompt, iterations } = report;
+  const parsed = parseExistingPrompt(prompt);
+  const checked = runState.checklist ? runState.checklist.checked : null;
+  const cell = (text) => String(text).replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+  const title = parsed.goal || `codex-loop run ${run.runId}`;
+  const lines = ['## Goal', '', extractSection(prompt, 'Goal') || title];
+
+  if (parsed.acceptanceCriteria && parsed.acceptanceCriteria.length) {
+    lines.push('', '## Acceptance Criteria', '');
+    parsed.acceptanceCriteria.forEach((item) => {
+      lines.push(checked ? `- [${checked.includes(item) ? 'x' : ' '}] ${item}` : `- ${item}`);
+    });
+  }
+
+  lines.push('', '## Gate Results', '');
+  const gated = iterations.filter(({ meta }) => meta.gates && meta.gates.length);
+  if (gated.length === 0) {
+    lines.push('No gates were run.');
+  } else {
+    const { iteration, meta } = gated[gated.length - 1];
+    lines.push(`After iteration ${iteration}:`, '', '| Gate | Command | Result | Duration |', '| --- | --- | --- | --- |');
+    meta.gates.forEach((gate) => {
+      let result = 'pass';
+      if (gate.timedOut) result = 'timeout';
+      else if (gate.exitCode !== 0) result = `fail (exit ${gate.exitCode})`;
+      lines.push(`| ${gate.name} | \`${cell(gate.command || '')}\` | ${result} | ${formatDuration(gate.durationMs)} |`);
+    });
+  }
+
+  lines.push('', '## Iterations', '');
+  if (iterations.length === 0) lines.push('No iterations were run.');
+  iterations.forEach(({ iteration, meta, summary }) => {
+    lines.push(`- ${iteration}: ${summary || 'no summary'} (gates: ${describeGates(meta)})`);
+  });
+  lines.push('', `_Generated by codex-loop from run \`${run.runId}\` on \`${run.branch}\`: ${iterations.length} iteration(s), stop reason ${run.stopReason}._`, '');
+
+  return {
+    title: title.length > 72 ? `${title.slice(0, 69)}...` : title,
+    body: lines.join('\n')
+  };
+}
+
+function writePullRequestDescription(repoRoot, config, runId) {
+  const report = collectRunReport(repoRoot, config, runId);
+  const runState = readLogJson(path.join(report.run.runDir, 'run.json')) || {};
+  const { title, body } = renderPullRequest(report, runState);
+  const bodyPath = path.join(report.run.runDir, 'pr.md');
+  fs.writeFileSync(bodyPath, body);
+  return { title, bodyPath, run: report.run };
+}
+
+function backupRef(runId) {
+  return `refs/codex-loop/backup/${runId}`;
+}
+
+// never overwrite an earlier backup: a second rollback of the same run gets a timestamped ref
+function saveBackupRef(repoRoot, runId, commit) {
+  const taken = git(['rev-parse', '--verify', '--quiet', backupRef(runId)], { cwd: repoRoot }).status === 0;
+  const ref = taken ? `${backupRef(runId)}-${formatTimestamp()}` : backupRef(runId);
+  const result = git(['update-ref', ref, commit, ''], { cwd: repoRoot });
+  if (result.status !== 0) throw new Error(`Could not save backup ref ${ref}: ${(result.stderr || '').trim()}`);
+  return ref;
+}
+
+function squashMessage(repoRoot, config, run) {
+  const prompt = stripBom(readLogFile(path.join(run.runDir, 'iter-0', 'prompt.md')) || '');
+  const goal = parseExistingPrompt(prompt).goal || `run ${run.runId}`;
+  const subject = `codex-loop: ${goal}`;
+  const lines = [
+    subject.length > 72 ? `${subject.slice(0, 69)}...` : subject,
+    '',
+    `Squashed codex-loop run ${run.runId} (${run.iterations.length} iteration(s), stop reason: ${run.stopReason}).`,
+    ''
+  ];
+  resolveIterationCommits(repoRoot, config, run).filter(({ sha }) => sha).forEach(({ iteration }) => {
+    const output = readLogFile(path.join(run.runDir, `iter-${iteration}`, 'output.txt'));
+    lines.push(`- iter ${iteration}: ${output ? firstLineSummary(output) : 'updates'}`);
+  });
+  return lines.join('\n');
+}
+
+function extractJsonObject(text) {
+  if (!text) return null;
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+  if (start === -1 || end === -1 || end <= start) return null;
+  const candidate = text.slice(start, end + 1);
+  try {
+    return JSON.parse(candidate);
+  } catch (err) {
+    return null;
+  }
+}
+
+function normalizeScopeDraft(draft) {
+  if (!draft || typeof draft !== 'object') return null;
+  const toArray = (value) => {
+    if (!value) return [];
+    if (Array.isArray(value)) return value.map((item) => String(item).trim()).filter(Boolean);
+    if (typeof value === 'string') {
+      return value.split(',').map((item) => item.trim()).filter(Boolean);
+    }
+    return [];
+  };
+  return {
+    inScope: toArray(draft.inScope),
+    outScope: toArray(draft.outScope),
+    acceptanceCriteria: toArray(draft.acceptanceCriteria || draft.acceptance),
+    commands: {
+      test: draft.commands && draft.commands.test ? String(draft.commands.test).trim() : '',
+      build: draft.commands && draft.commands.build ? String(draft.commands.build).trim() : '',
+      lint: draft.commands && draft.commands.lint ? String(draft.commands.lint).trim() : ''
+    }
+  };
+}
+
+async function runScopeAssist({ repoRoot, config, projectType, goal, existing, warn = () => {} }) {
+  const tmpBase = fs.mkdtempSync(path.join(os.tmpdir(), 'codex-loop-scope-'));
+  const add = git(['worktree', 'add', '--detach', tmpBase, 'HEAD'], { cwd: repoRoot });
+  if (add.status !== 0) {
+    warn(add.stderr || 'Failed to create worktree for scope assist.');
+    return null;
+  }
+
+  const contextLines = [];
+  if (existing && existing.inScope && existing.inScope.length) {
+    contextLines.push(`Existing in-scope: ${existing.inScope.join(', ')}`);
+  }
+  if (existing && existing.outScope && existing.outScope.length) {
+    contextLines.push(`Existing out-of-scope: ${existing.outScope.join(', ')}`);
+  }
+
+  const prompt = [
+    goal,
+    '',
+    'You are helping draft scope for a coding task.',
+    `Project type: ${projectType}`,
+    contextLines.length ? contextLines.join('\\n') : 'No existing scope provided.',
+    '',
+    'Return ONLY a JSON object with this shape:',
+    '{',
+    '  "inScope": ["..."],',
+    '  "outScope": ["..."],',
+    '  "acceptanceCriteria": ["..."],',
+    '  "commands": { "test": "...", "build": "...", "lint": "..." }',
+    '}',
+    '',
+    'Rules:',
+    '- Do not modify any files.',
+    '- Do not run commands.',
+    '- Output JSON only, no markdown.'
+  ].join('\\n');
+
+  const args = ['exec', '--full-auto', '--cd', tmpBase, '--output-last-message'];
+  if (config.codex.model) args.push('--model', config.codex.model);
+  if (config.codex.sandbox) args.push('--sandbox', config.codex.sandbox);
+  if (config.codex.search) args.push('--search');
+
+  const result = runCodex(resolveCodexPath(config), args, {
+    cwd: tmpBase,
+    input: prompt,
+    maxBuffer: 20 * 1024 * 1024
+  });
+
+  if (result.error) {
+    warn(`Scope assist failed to run Codex: ${result.error.message}`);
+  }
+
+  const output = (result.stdout || '').trim();
+  let parsed = extractJsonObject(output);
+  if (!parsed) {
+    parsed = parseScopeFromMarkdown(output);
+  }
+
+  const remove = git(['worktree', 'remove', '--force', tmpBase], { cwd: repoRoot });
+  if (remove.status !== 0) {
+    warn(remove.stderr || 'Failed to remove scope assist worktree.');
+  }
+
+  if (!parsed) {
+    const stderr = (result.stderr || '').trim();
+    warn('Scope assist did not return valid JSON or markdown. Skipping suggestions.');
+    if (stderr) {
+      warn(`Scope assist stderr: ${stderr.split(/\r?\n/).slice(-5).join('\n')}`);
+    }
+    return null;
+  }
+
+  return normalizeScopeDraft(parsed);
+}
+
+async function runIterations(repoRoot, config, {
+  branch,
+  runId,
+  logsRoot,
+  promptText,
+  startIteration,
+  emit = () => {},
+  interrupt = { signal: null, stop: null }
+}) {
+  const counts = { iterations: 0, commits: 0, warnings: 0 };
+  const log = (message) => emit('log', { runId, level: 'info', message });
+  const warn = (message) => {
+    counts.warnings += 1;
+    emit('log', { runId, level: 'warn', message });
+  };
+  const phases = config.phases || [];
+  const stopWhen = stopPolicyExpression(config);
+  const stopClauses = phases.length ? [] : parseStopPolicy(stopWhen);
+  const configuredGates = GATE_NAMES.filter((name) => isCommandSet(config.commands[name]));
+  const requiredGates = policyGateNames(stopClauses);
+  const runAllGates = config.gates.enabled || config.loop.requireGatesForPromise;
+  const gateNames = configuredGates.filter((name) => runAllGates || requiredGates.includes(name));
+  const previousRun = readLogJson(path.join(logsRoot, 'run.json')) || {};
+  const checklistExpected = config.checklist.enabled ? checklistItems(promptText) : [];
+  let checklistChecked = (previousRun.checklist || {}).checked || [];
+  const partialDir = path.join(logsRoot, `iter-${startIteration}`);
+  if (previousRun.incompleteIteration === startIteration && fs.existsSync(partialDir)) {
+    fs.renameSync(partialDir, `${partialDir}-interrupted-${formatTimestamp()}`);
+  }
+  let guardrailViolationCount = (previousRun.guardrails || {}).violations || 0;
+  let phaseIndex = previousRun.phase ? Math.min(previousRun.phase.number, phases.length) - 1 : 0;
+  let phaseIteration = previousRun.phase && previousRun.stopReason !== 'phase-budget' ? previousRun.phase.iterations : 0;
+  let phasesDone = false;
+  const phaseState = () => ({
+    number: phaseIndex + 1,
+    name: phases[phaseIndex].name,
+    total: phases.length,
+    iterations: phaseIteration,
+    completed: phases.slice(0, phasesDone ? phases.length : phaseIndex).map((phase) => phase.name)
+  });
+  if (config.checklist.enabled && !checklistExpected.length) {
+    warn('checklist.enabled is set but the prompt has no Acceptance Criteria bullets; the checklist is not tracked.');
+  }
+  let lastState = null;
+  const saveState = (iteration, fields) => {
+    lastState = {
+      repoRoot,
+      branch,
+      runId,
+      iteration,
+      maxLoops: config.loop.maxLoops,
+      head: currentHead(repoRoot),
+      promiseFound: false,
+      stopReason: null,
+      ...(phases.length ? { phase: phaseState() } : {}),
+      ...fields,
+      timestamp: new Date().toISOString()
+    };
+    writeRunState(repoRoot, logsRoot, lastState);
+  };
+  const iterationLimitMs = parseDuration(config.timeouts.iteration);
+  const gateLimitMs = parseDuration(config.timeouts.gate);
+  const runLimitMs = parseDuration(config.timeouts.run);
+  const deadline = runLimitMs > 0 ? Date.now() + runLimitMs : 0;
+  const runExpired = () => deadline > 0 && Date.now() >= deadline;
+  const agent = resolveAgent(config);
+  const stallTracker = createStallTracker(config.stall.threshold);
+  let escapeStall = null;
+  let lastGates = [];
+  const hook = async (name, iteration, fields = {}) => {
+    const result = await runHook(repoRoot, config, name, {
+      vars: { runId, branch, logsRoot, iteration, ...fields },
+      interrupt,
+      deadline,
+      warn
+    });
+    if (result) emit('hook:result', { runId, iteration, ...result });
+    return result;
+  };
+  const abortsRun = (result) => config.hooks.abortOnFailure && hookFailed(result);
+
+  const finishInterrupted = (i, output, diff, { hooks, timeouts, ...meta }) => {
+    const blocked = meta.guardrails && meta.guardrails.action === 'blocked';
+    const commit = config.loop.commitOnInterrupt && !blocked
+      ? commitIteration(repoRoot, config, i, `interrupted - ${firstLineSummary(output)}`, warn)
+      : null;
+    if (commit) {
+      counts.commits += 1;
+      emit('commit', { runId, iteration: i, sha: commit });
+    }
+    logIteration(logsRoot, i, { diff, meta: { ...meta, interrupted: interrupt.signal, partial: true, commit, ...(timeouts.length ? { timeouts } : {}), ...(hooks.length ? { hooks } : {}) } });
+    // the iteration did not finish, so --resume runs it again
+    saveState(i - 1, {
+      stopReason: 'interrupted',
+      incompleteIteration: i,
+      ...(checklistExpected.length ? { checklist: { ...((lastState && lastState.checklist) || previousRun.checklist), checked: checklistChecked } } : {}),
+      ...(guardrailViolationCount ? { guardrails: { violations: guardrailViolationCount } } : {})
+    });
+    warn(`Run ${runId} interrupted during iteration ${i}. Continue with --resume to run it again.`);
+    emit('iteration:end', { runId, iteration: i, ...meta, ...(timeouts.length ? { timeouts } : {}), interrupted: interrupt.signal, partial: true, commit });
+  };
+
+  const preRun = await hook('preRun', startIteration);
+  const aborted = interrupt.signal || abortsRun(preRun);
+  if (interrupt.signal) {
+    saveState(startIteration - 1, { stopReason: 'interrupted' });
+    warn(`Run ${runId} interrupted before iteration ${startIteration}. Continue with --resume.`);
+  } else if (aborted) {
+    warn('preRun hook failed; stopping the run.');
+    saveState(startIteration - 1, { stopReason: 'hook-failed', failedHook: 'preRun' });
+  }
+
+  for (let i = startIteration; !aborted && i <= config.loop.maxLoops; i += 1) {
+    if (runExpired()) {
+      warn(`Run timeout (${config.timeouts.run}) reached before iteration ${i}.`);
+      saveState(i - 1, { stopReason: 'run-timeout', timeouts: [{ step: 'loop', limit: 'run', ms: runLimitMs }] });
+      break;
+    }
+
+    counts.iterations += 1;
+    emit('iteration:start', { runId, iteration: i, maxLoops: config.loop.maxLoops });
+    if (phases.length && (phaseIteration === 0 || i === startIteration)) {
+      log(`Phase ${phaseIndex + 1} of ${phases.length}: ${phases[phaseIndex].name}${phaseIteration ? ` (iteration ${phaseIteration + 1} of this phase)` : ''}`);
+      emit('phase:start', { runId, iteration: i, phase: phaseIndex + 1, name: phases[phaseIndex].name, total: phases.length });
+    }
+    const hooks = i === startIteration && preRun ? [preRun] : [];
+    const preIteration = await hook('preIteration', i);
+    if (preIteration) hooks.push(preIteration);
+    if (interrupt.signal) {
+      saveState(i - 1, { stopReason: 'interrupted' });
+      warn(`Run ${runId} interrupted before iteration ${i}. Continue with --resume.`);
+      break;
+    }
+    if (abortsRun(preIteration)) {
+      warn(`preIteration hook failed; stopping before iteration ${i}.`);
+      logIteration(logsRoot, i, { meta: { hooks } });
+      saveState(i - 1, { stopReason: 'hook-failed', failedHook: 'preIteration' });
+      break;
+    }
+    const progressSection = config.progress.enabled ? readProgressSection(repoRoot, config) : '';
+    const sections = [
+      progressSection,
+      phases.length ? phaseSection(config, phaseIndex, phaseIteration + 1) : '',
+      checklistExpected.length ? checklistSection(config, checklistChecked.length, checklistExpected.length) : '',
+      escapeStall ? stallEscapeSection(escapeStall) : ''
+    ].filter(Boolean);
+    const input = sections.length ? `${promptText.replace(/\s+$/, '')}\n\n${sections.join('\n\n')}\n` : promptText;
+    if (sections.length || agent.promptVia === 'file') logIteration(logsRoot, i, { prompt: input });
+
+    const treeBefore = config.logging.record || guardrailsEnabled(config) ? snapshotWorktree(repoRoot) : null;
+    const startedAt = new Date();
+    const codexTimeout = pickTimeout(iterationLimitMs, 'iteration', deadline);
+    const { cmd, args } = agent.command(repoRoot, {
+      promptFile: path.join(logsRoot, `iter-${i}`, 'prompt.md'),
+      runId,
+      iteration: i
+    });
+    const { done, stop } = spawnCodex(cmd, args, {
+      cwd: repoRoot,
+      input: agent.promptVia === 'stdin' ? input : '',
+      outputPath: path.join(logsRoot, `iter-${i}`, 'output.txt'),
+      timeoutMs: codexTimeout.ms,
+      onOutput: (stream, chunk) => emit('output', { runId, iteration: i, stream, chunk })
+    });
+    interrupt.stop = stop;
+    const result = await done;
+    interrupt.stop = null;
+    if (result.error) {
+      warn(`Failed to run ${agent.label}: ${result.error.message}`);
+    }
+    if (config.logging.record) recordFixture(repoRoot, logsRoot, i, result, treeBefore);
+    const guardrails = guardrailsEnabled(config) ? enforceGuardrails(repoRoot, config, logsRoot, i, treeBefore) : null;
+    if (guardrails) {
+      guardrailViolationCount += 1;
+      warn(guardrails.action === 'reverted'
+        ? `Guardrails reverted changes to ${describeViolations(guardrails.violations)}; the changes are saved in iter-${i}/guardrails.patch.`
+        : `Guardrails blocked changes to ${describeViolations(guardrails.violations)}; iteration ${i} is not committed.`);
+    }
+
+    const timeouts = [];
+    if (result.timedOut) {
+      warn(`${agent.label} hit the ${codexTimeout.limit} timeout after ${Math.round(codexTimeout.ms / 1000)}s.`);
+      timeouts.push({ step: 'codex', limit: codexTimeout.limit, ms: Math.round(codexTimeout.ms) });
+    }
+
+    const output = result.stdout || '';
+    const diff = git(['diff'], { cwd: repoRoot }).stdout || '';
+    const meta = {
+      exitCode: result.status,
+      signal: result.signal,
+      startedAt: startedAt.toISOString(),
+      durationMs: Date.now() - startedAt.getTime(),
+      ...(guardrails ? { guardrails } : {})
+    };
+
+    if (interrupt.signal) {
+      finishInterrupted(i, output, diff, { ...meta, timeouts, hooks });
+      break;
+    }
+
+    const completion = parseCompletionSignal(output, config.prompt);
+    const promiseSignal = agent.completed(output);
+
+    const iterationCommands = phases.length ? phaseCommands(config, phases[phaseIndex]) : config.commands;
+    const iterationGates = phases.length ? GATE_NAMES.filter((name) => isCommandSet(iterationCommands[name])) : gateNames;
+    const gates = await runGateCommands(repoRoot, iterationCommands, runExpired() ? [] : iterationGates, {
+      timeoutFor: () => pickTimeout(gateLimitMs, 'gate', deadline),
+      interrupt,
+      warn
+    });
+    gates.forEach((gate) => emit('gate:result', { runId, iteration: i, ...gate, output: trimOutput(gate.output, config.gates.outputLines) }));
+    gates.filter((gate) => gate.timedOut).forEach((gate) => {
+      timeouts.push({ step: `gate:${gate.name}`, ...gate.timeout });
+    });
+
+    if (interrupt.signal) {
+      finishInterrupted(i, output, diff, { ...meta, timeouts, hooks });
+      break;
+    }
+
+    logIteration(logsRoot, i, { diff });
+    if (gates.length) log(`Gates: ${formatGateResults(gates)}`);
+
+    let promiseFound = promiseSignal;
+    let promiseIgnored = null;
+    if (promiseSignal && config.loop.requireGatesForPromise) {
+      // in a phase, the promise needs the phase's own gates
+      const failing = iterationGates.filter((name) => !gates.some((gate) => gate.name === name && gate.exitCode === 0 && !gate.timedOut));
+      if (failing.length) {
+        promiseFound = false;
+        promiseIgnored = `gates failing: ${failing.join(', ')}`;
+        warn(`Completion signal ignored because ${failing.join(', ')} did not pass.`);
+      }
+    }
+    if (promiseFound) {
+      log(completion.exitMessage ? `Completion signal detected: ${completion.exitMessage}` : 'Completion signal detected.');
+    }
+
+    let phase = null;
+    let phaseStop = null;
+    if (phases.length) {
+      phaseIteration += 1;
+      const current = phases[phaseIndex];
+      const passed = gates.length === iterationGates.length && gates.every((gate) => gate.exitCode === 0 && !gate.timedOut);
+      phase = { number: phaseIndex + 1, name: current.name, iteration: phaseIteration, passed };
+      if (passed) {
+        log(`Phase ${phaseIndex + 1} of ${phases.length} (${current.name}) passed after ${phaseIteration} iteration(s).`);
+        emit('phase:end', { runId, iteration: i, phase: phaseIndex + 1, name: current.name, iterations: phaseIteration, passed });
+        if (phaseIndex === phases.length - 1) {
+          phasesDone = true;
+          phaseStop = 'phases-complete';
+        } else {
+          phaseIndex += 1;
+          phaseIteration = 0;
+        }
+      } else if (current.maxLoops && phaseIteration >= current.maxLoops) {
+        warn(`Phase ${phaseIndex + 1} (${current.name}) used its budget of ${current.maxLoops} iteration(s) without passing its gates.`);
+        emit('phase:end', { runId, iteration: i, phase: phaseIndex + 1, name: current.name, iterations: phaseIteration, passed });
+        phaseStop = 'phase-budget';
+      }
+    }
+
+    let checklist = null;
+    if (checklistExpected.length) {
+      const status = checklistStatus(checklistExpected, readChecklist(repoRoot, config) || { items: [], malformed: [] }, checklistChecked);
+      log(`Checklist: ${status.done}/${status.total} checked (${status.percent}%)`);
+      if (status.reopened.length) warn(`Checklist items unchecked again: ${status.reopened.join('; ')}`);
+      const problems = [
+        status.missing.length ? `${status.missing.length} missing or reworded` : '',
+        status.unexpected.length ? `${status.unexpected.length} unexpected` : '',
+        status.malformed.length ? `${status.malformed.length} not in "- [ ]" / "- [x]" format` : ''
+      ].filter(Boolean);
+      if (problems.length) warn(`Checklist ${config.checklist.path} does not match the acceptance criteria: ${problems.join(', ')}.`);
+      checklistChecked = status.checked;
+      checklist = { total: status.total, done: status.done, percent: status.percent };
+      ['reopened', 'missing', 'unexpected', 'malformed'].filter((key) => status[key].length).forEach((key) => {
+        checklist[key] = status[key];
+      });
+    }
+
+    const porcelainArgs = ['status', '--porcelain'];
+    if (config.loop.ignoreUntrackedForNoDiff) porcelainArgs.push('-uno');
+    const noDiff = git(porcelainArgs, { cwd: repoRoot }).stdout.trim().length === 0;
+
+    const facts = { promise: promiseFound, 'no-diff': noDiff, checklist: Boolean(checklist) && checklist.done === checklist.total };
+    GATE_NAMES.forEach((name) => {
+      const gate = gates.find((item) => item.name === name);
+      facts[name] = Boolean(gate) && gate.exitCode === 0 && !gate.timedOut;
+    });
+    facts.gates = gates.length === gateNames.length && gates.every((gate) => gate.exitCode === 0 && !gate.timedOut);
+    const metClause = stopClauses.find((clause) => clause.every((term) => facts[term]));
+    const { diffHash, stall } = stallTracker.record({ diff, exitCode: result.status, gates });
+
+    if (config.progress.enabled) {
+      const diffStat = git(['diff', 'HEAD', '--stat'], { cwd: repoRoot }).stdout || '';
+      appendProgressEntry(repoRoot, config, i, { output, exitCode: result.status, gates, diffStat });
+    }
+
+    const commit = config.git.commitEachIteration && !(guardrails && guardrails.action === 'blocked')
+      ? commitIteration(repoRoot, config, i, firstLineSummary(output), warn)
+      : null;
+    if (commit) {
+      counts.commits += 1;
+      emit('commit', { runId, iteration: i, sha: commit });
+    }
+    const gateSummary = gates.map(({ name, command, exitCode, timedOut, durationMs, output: gateOutput }) => ({
+      name,
+      command,
+      exitCode,
+      timedOut,
+      durationMs,
+      output: trimOutput(gateOutput, config.gates.outputLines)
+    }));
+    lastGates = gateSummary;
+    const iterationMeta = {
+      ...meta,
+      promiseFound,
+      ...(completion.exitMessage !== null ? { exitMessage: completion.exitMessage } : {}),
+      ...(promiseIgnored ? { promiseIgnored } : {}),
+      diffHash,
+      ...(escapeStall ? { escape: true } : {}),
+      ...(gateSummary.length ? { gates: gateSummary } : {}),
+      ...(checklist ? { checklist } : {}),
+      ...(phase ? { phase } : {}),
+      ...(timeouts.length ? { timeouts } : {}),
+      commit
+    };
+
+    const stepTimeout = timeouts.find((timeout) => timeout.limit !== 'run');
+    const guardrailsLimit = config.guardrails.maxViolations > 0 && guardrailViolationCount >= config.guardrails.maxViolations;
+    let stopReason = null;
+    if (guardrails && (guardrails.action === 'blocked' || guardrailsLimit)) {
+      stopReason = 'guardrails';
+      warn(guardrails.action === 'blocked'
+        ? 'Stopping the run; review or discard the blocked changes, then continue with --resume.'
+        : `Guardrails were violated in ${guardrailViolationCount} iteration(s) (guardrails.maxViolations is ${config.guardrails.maxViolations}); stopping the run.`);
+    } else if (metClause) {
+      stopReason = stopReasonForClause(metClause);
+      log(`Stop policy met: ${metClause.join(' && ')}`);
+    } else if (phaseStop) stopReason = phaseStop;
+    else if (interrupt.signal) stopReason = 'interrupted';
+    else if (runExpired() || timeouts.some((timeout) => timeout.limit === 'run')) stopReason = 'run-timeout';
+    else if (stepTimeout && config.timeouts.onTimeout === 'stop') stopReason = `${stepTimeout.limit}-timeout`;
+    else if (escapeStall) stopReason = 'stalled';
+    else if (stall && config.stall.action === 'escape' && i < config.loop.maxLoops) {
+      warn(`Loop stalled: ${stall.detail}. Asking Codex to summarize what is blocking it.`);
+      escapeStall = stall;
+    } else if (stall) stopReason = 'stalled';
+    else if (i >= config.loop.maxLoops) stopReason = 'max-loops';
+
+    const postIteration = await hook('postIteration', i, { exitCode: result.status, promiseFound, commit, stopReason, gates });
+    if (postIteration) hooks.push(postIteration);
+    let failedHook = null;
+    if (!stopReason && interrupt.signal) stopReason = 'interrupted';
+    else if (!stopReason && abortsRun(postIteration)) {
+      warn(`postIteration hook failed; stopping after iteration ${i}.`);
+      stopReason = 'hook-failed';
+      failedHook = 'postIteration';
+    }
+    logIteration(logsRoot, i, { meta: { ...iterationMeta, ...(hooks.length ? { hooks } : {}) } });
+
+    let stallInfo = null;
+    if (stopReason === 'stalled') {
+      stallInfo = escapeStall ? { ...escapeStall, summary: trimOutput(output, config.gates.outputLines) } : stall;
+      warn(`Loop stalled after iteration ${i}: ${stallInfo.detail}.`);
+      if (escapeStall) log(`Blockers reported by Codex:\n${stallInfo.summary || '(no output)'}`);
+    }
+
+    saveState(i, {
+      promiseFound,
+      exitMessage: completion.exitMessage,
+      stopReason,
+      ...(metClause && stopReason !== 'guardrails' ? { stopClause: metClause.join(' && ') } : {}),
+      ...(stallInfo ? { stall: stallInfo } : {}),
+      ...(failedHook ? { failedHook } : {}),
+      ...(checklist ? { checklist: { total: checklist.total, done: checklist.done, percent: checklist.percent, checked: checklistChecked } } : {}),
+      ...(guardrailViolationCount ? { guardrails: { violations: guardrailViolationCount } } : {}),
+      ...(timeouts.length ? { timeouts } : {})
+    });
+    emit('iteration:end', { runId, iteration: i, ...meta, promiseFound, exitMessage: completion.exitMessage, noDiff, gates: gateSummary, hooks, ...(checklist ? { checklist } : {}), ...(phase ? { phase } : {}), timeouts, commit, stopReason });
+
+    if (stopReason === 'interrupted') {
+      warn(`Run ${runId} interrupted after iteration ${i}. Continue with --resume.`);
+    }
+    if (stopReason) break;
+  }
+
+  const outcome = runOutcome(lastState);
+  if (lastState && lastState.phase) {
+    log(phasesDone
+      ? `All ${phases.length} phases passed.`
+      : `Stopped in phase ${lastState.phase.number} of ${phases.length} (${lastState.phase.name}).`);
+  }
+  if (outcome && outcome !== 'interrupted') {
+    const finalHook = await hook(outcome === 'completed' ? 'onComplete' : 'onFailure', lastState.iteration, {
+      promiseFound: lastState.promiseFound,
+      commit: lastState.head,
+      stopReason: lastState.stopReason,
+      gates: lastGates
+    });
+    if (finalHook) {
+      const metaPath = path.join(logsRoot, `iter-${lastState.iteration}`, 'meta.json');
+      const existing = readLogJson(metaPath) || {};
+      logIteration(logsRoot, lastState.iteration, { meta: { ...existing, hooks: [...(existing.hooks || []), finalHook] } });
+    }
+  }
+  if (lastState) emit('stop', { ...lastState, outcome, counts, signal: interrupt.signal });
+  return { ...(lastState || {}), outcome, counts, signal: interrupt.signal };
+}
+
+function checkRunConfig(repoRoot, config, schema = loadConfigSchema()) {
+  const notices = [];
+  const schemaErrors = validateSchema(config, schema);
+  if (schemaErrors.length) {
+    throw new ConfigError(formatConfigErrors('Invalid config after applying overrides:', schemaErrors), { details: { errors: schemaErrors } });
+  }
+
+  const badTimeout = ['iteration', 'gate', 'hook', 'run'].find((key) => Number.isNaN(parseDuration(config.timeouts[key])));
+  if (badTimeout) {
+    throw new ConfigError(`Invalid ${badTimeout} timeout: ${config.timeouts[badTimeout]}. Use seconds or a duration like 90s, 15m, 2h.`);
+  }
+
+  if (config.agent.type === 'command' && !config.agent.command) {
+    throw new ConfigError('agent.type is "command" but agent.command is not set.');
+  }
+  if (config.prompt.template) readPromptTemplate(repoRoot, config);
+  if (config.agent.type === 'replay') {
+    if (config.agent.replay === 'last') {
+      const runIds = listRunIds(path.join(repoRoot, config.logging.dir));
+      config.agent.replay = runIds[runIds.length - 1] || '';
+    }
+    const replayDir = resolveReplayDir(repoRoot, config);
+    const recorded = config.agent.replay ? countRecordedIterations(replayDir) : 0;
+    if (recorded === 0) {
+      throw new ConfigError(`No recorded iterations to replay in ${config.agent.replay ? replayDir : '(agent.replay is not set)'}. Record a run with --record first.`);
+    }
+    if (config.loop.maxLoops > recorded) {
+      notices.push(`Replaying ${recorded} recorded iteration(s) from ${replayDir}; max loops lowered from ${config.loop.maxLoops} to ${recorded}.`);
+      config.loop.maxLoops = recorded;
+    }
+  }
+  try {
+    if (config.agent.completionPattern) new RegExp(config.agent.completionPattern, 'm');
+  } catch (err) {
+    throw new ConfigError(`Invalid agent.completionPattern: ${err.message}`);
+  }
+
+  const stopClauses = parseStopPolicy(stopPolicyExpression(config));
+  const badTerms = [...new Set(stopClauses.flat().filter((term) => !STOP_TERMS.includes(term)))];
+  if (badTerms.length) {
+    throw new ConfigError(`Invalid stop policy "${config.loop.stopWhen}": unknown ${badTerms.map((term) => `"${term}"`).join(', ')}. Use ${STOP_TERMS.join(', ')} joined with && and ||.`);
+  }
+  if (config.phases.length && config.loop.stopWhen) {
+    notices.push(`loop.stopWhen ("${config.loop.stopWhen}") is ignored because phases are configured; the run ends when the last phase passes its gates.`);
+  }
+  if (stopClauses.some((clause) => clause.includes('checklist')) && !config.checklist.enabled) {
+    throw new ConfigError(`Stop policy "${config.loop.stopWhen}" uses "checklist" but checklist.enabled is false.`);
+  }
+  return notices;
+}
+
+function startRun(repoRoot, config, { branch, runId, promptText, logsDir = path.join(repoRoot, config.logging.dir), head = currentHead(repoRoot), meta = {} }) {
+  const logsRoot = path.join(logsDir, runId);
+  fs.mkdirSync(logsRoot, { recursive: true });
+  logIteration(logsRoot, 0, {
+    prompt: promptText,
+    meta: { runId, branch, head, startedAt: new Date().toISOString(), ...(config.phases.length ? { phases: config.phases } : {}), ...meta }
+  });
+  writeRunState(repoRoot, logsRoot, {
+    repoRoot,
+    branch,
+    runId,
+    iteration: 0,
+    maxLoops: config.loop.maxLoops,
+    head,
+    promiseFound: false,
+    stopReason: null,
+    timestamp: new Date().toISOString()
+  });
+  if (config.progress.enabled) initProgressJournal(repoRoot, config, runId);
+  if (config.checklist.enabled) initChecklist(repoRoot, config, promptText);
+  return logsRoot;
+}
+
+module.exports = {
+  DEFAULT_CONFIG,
+  STOP_TERMS,
+  HOOK_NAMES,
+  run,
+  runShell,
+  parseDuration,
+  git,
+  currentHead,
+  writeJson,
+  deepMerge,
+  readConfigFile,
+  editConfigFile,
+  loadConfigSchema,
+  suggestKey,
+  validateSchema,
+  validateConfigFile,
+  schemaForKey,
+  formatConfigErrors,
+  userConfigPath,
+  loadLayeredConfig,
+  getConfigValue,
+  setConfigValue,
+  unsetConfigValue,
+  parseConfigInput,
+  checkRunConfig,
+  ensureGitignore,
+  formatTimestamp,
+  trimOutput,
+  firstLineSummary,
+  defaultAnswer,
+  buildPrompt,
+  readTaskSpec,
+  readBatchFile,
+  validateTaskSpec,
+  listTemplates,
+  renderTemplate,
+  describeAgentCommand,
+  ensureLogDirs,
+  logIteration,
+  isCommandSet,
+  stopPolicyExpression,
+  parseStopPolicy,
+  initProgressJournal,
+  checkPhases,
+  checkStopPolicy,
+  phaseCommands,
+  resolveReplayDir,
+  countRecordedIterations,
+  writeState,
+  writeRunState,
+  readState,
+  loadResumeState,
+  readLogFile,
+  readLogJson,
+  listRunIds,
+  describeRun,
+  formatDuration,
+  gzipRunDir,
+  commitExists,
+  resolveIterationCommits,
+  writeRunReport,
+  writePullRequestDescription,
+  backupRef,
+  saveBackupRef,
+  squashMessage,
+  startRun,
+  runIterations
+};
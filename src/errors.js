@@ -0,0 +1,33 @@
+class CodexLoopError extends Error {
+  constructor(message, { code = 'CODEX_LOOP_ERROR', details } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code;
+    if (details !== undefined) this.details = details;
+  }
+}
+
+class ConfigError extends CodexLoopError {
+  constructor(message, { code = 'CONFIG_INVALID', details } = {}) {
+    super(message, { code, details });
+  }
+}
+
+class ResumeError extends CodexLoopError {
+  constructor(message, { code = 'RESUME_UNAVAILABLE', details } = {}) {
+    super(message, { code, details });
+  }
+}
+
+class GitError extends CodexLoopError {
+  constructor(message, { code = 'GIT_FAILED', details } = {}) {
+    super(message, { code, details });
+  }
+}
+
+module.exports = {
+  CodexLoopError,
+  ConfigError,
+  ResumeError,
+  GitError
+};
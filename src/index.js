@@ -0,0 +1,147 @@
+const fs = require('fs');
+const path = require('path');
+const { EventEmitter } = require('events');
+const core = require('./core');
+const errors = require('./errors');
+
+const { ConfigError, GitError } = errors;
+
+function resolveRepo(repoRoot) {
+  const gitRoot = core.git(['rev-parse', '--show-toplevel'], { cwd: repoRoot || process.cwd() });
+  if (gitRoot.status !== 0) {
+    throw new GitError(`Not a git repository: ${repoRoot || process.cwd()}`, { code: 'GIT_NO_REPO' });
+  }
+  return gitRoot.stdout.trim();
+}
+
+function currentBranch(repoRoot) {
+  const branch = core.git(['rev-parse', '--abbrev-ref', 'HEAD'], { cwd: repoRoot });
+  if (branch.status !== 0) throw new GitError(`Cannot read the current branch in ${repoRoot}.`);
+  return branch.stdout.trim();
+}
+
+function loadConfig({ repoRoot, profiles = [], env = process.env, overrides = {}, sourceLabels = {} } = {}) {
+  const root = resolveRepo(repoRoot);
+  const layered = core.loadLayeredConfig(root, { profiles, env });
+  Object.entries(overrides).forEach(([key, value]) => {
+    if (value === undefined) return;
+    core.setConfigValue(layered.config, key, value);
+    layered.sources[key] = sourceLabels[key] || 'api';
+  });
+  const notices = [...layered.notices, ...core.checkRunConfig(root, layered.config, layered.schema)];
+  return { ...layered, repoRoot: root, notices };
+}
+
+async function buildPrompt({ repoRoot, branch, config, answers = {}, ask = null, spec = null, write = true, log, warn } = {}) {
+  const root = resolveRepo(repoRoot);
+  const effective = config || loadConfig({ repoRoot: root }).config;
+  const taskSpec = typeof spec === 'string' ? core.readTaskSpec(path.resolve(root, spec)) : spec;
+  return core.buildPrompt(root, branch || currentBranch(root), effective, { writePrompt: write, answers, ask, spec: taskSpec, log, warn });
+}
+
+class LoopRun extends EventEmitter {
+  constructor(options) {
+    super();
+    this.runId = null;
+    this.logsRoot = null;
+    this.controller = { signal: null, stop: null };
+    this.done = new Promise((resolve) => setImmediate(resolve)).then(() => this.start(options));
+    // callers may only listen for events and never await done, so a failed start must not be an unhandled rejection
+    this.done.catch((error) => {
+      if (this.listenerCount('error')) this.emit('error', error);
+    });
+  }
+
+  interrupt(signal = 'SIGINT') {
+    if (this.controller.signal) return false;
+    this.controller.signal = signal;
+    if (this.controller.stop) this.controller.stop(signal);
+    return true;
+  }
+
+  kill() {
+    if (!this.controller.signal) this.controller.signal = 'SIGTERM';
+    if (this.controller.stop) this.controller.stop('SIGKILL', 0);
+  }
+
+  async start({ repoRoot, config, branch, promptText, runId, resume = false, maxLoops, logsDir, meta } = {}) {
+    const root = resolveRepo(repoRoot);
+    const effective = core.deepMerge({}, config || loadConfig({ repoRoot: root }).config);
+    const emit = (event, payload) => this.emit(event, payload);
+    let run;
+
+    if (resume) {
+      const state = core.loadResumeState(root, effective, maxLoops || null);
+      effective.loop.maxLoops = state.maxLoops;
+      effective.phases = state.phases;
+      core.checkPhases(effective);
+      core.checkStopPolicy(effective);
+      run = state;
+    } else {
+      if (maxLoops) effective.loop.maxLoops = maxLoops;
+      core.checkPhases(effective);
+      core.checkStopPolicy(effective);
+      let text = promptText;
+      if (text === undefined) {
+        const promptPath = path.join(root, effective.prompt.path);
+        if (!fs.existsSync(promptPath)) {
+          throw new ConfigError(`Prompt file not found: ${effective.prompt.path}. Pass promptText or build the prompt first.`, { code: 'PROMPT_MISSING' });
+        }
+        text = fs.readFileSync(promptPath, 'utf8');
+      }
+      run = {
+        branch: branch || currentBranch(root),
+        runId: runId || core.formatTimestamp(),
+        promptText: text,
+        startIteration: 1
+      };
+      run.logsRoot = core.startRun(root, effective, { ...run, logsDir, meta });
+    }
+
+    this.runId = run.runId;
+    this.logsRoot = run.logsRoot;
+    this.emit('run:start', {
+      runId: run.runId,
+      branch: run.branch,
+      repoRoot: root,
+      logsRoot: run.logsRoot,
+      resumed: Boolean(resume),
+      startIteration: run.startIteration,
+      maxLoops: effective.loop.maxLoops,
+      config: {
+        agent: effective.agent.type,
+        model: effective.codex.model,
+        stopPolicy: effective.phases.length ? null : core.stopPolicyExpression(effective) || null,
+        gates: Object.keys(effective.commands).filter((name) => core.isCommandSet(effective.commands[name])),
+        stall: effective.stall,
+        guardrails: effective.guardrails,
+        phases: effective.phases.map((phase) => phase.name),
+        timeouts: effective.timeouts
+      }
+    });
+    (run.notices || []).forEach((message) => this.emit('log', { runId: run.runId, level: 'warn', message }));
+    const result = await core.runIterations(root, effective, {
+      branch: run.branch,
+      runId: run.runId,
+      logsRoot: run.logsRoot,
+      promptText: run.promptText,
+      startIteration: run.startIteration,
+      emit,
+      interrupt: this.controller
+    });
+    return { ...result, runId: run.runId, logsRoot: run.logsRoot };
+  }
+}
+
+function runLoop(options = {}) {
+  return new LoopRun(options);
+}
+
+module.exports = {
+  loadConfig,
+  buildPrompt,
+  runLoop,
+  LoopRun,
+  DEFAULT_CONFIG: core.DEFAULT_CONFIG,
+  ...errors
+};
@@ -0,0 +1,44 @@
+const fs = require('fs');
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert');
+const { AGENT, createRepo, cli, readState, readMeta } = require('./helpers');
+
+function runCommandAgent(repo, args = [], env = {}) {
+  return cli(repo, ['--defaults', '--run-loop', '--agent', 'command', ...args], { CODEX_LOOP_AGENT_COMMAND: AGENT, ...env });
+}
+
+test('the command agent runs the configured program with the prompt on stdin', (t) => {
+  const repo = createRepo(t);
+  const result = runCommandAgent(repo, [], { FAKE_DONE_AT: '3' });
+  assert.strictEqual(result.status, 0, result.stderr);
+  const state = readState(repo);
+  assert.strictEqual(state.iteration, 2);
+  assert.strictEqual(state.stopReason, 'promise');
+  const meta = readMeta(repo, 2);
+  assert.strictEqual(meta.exitCode, 0);
+});
+
+test('agent.completionPattern and promptVia file replace the footer and stdin', (t) => {
+  const repo = createRepo(t);
+  fs.writeFileSync(path.join(repo, '.codex', 'config.json'), JSON.stringify({
+    version: 1,
+    agent: { type: 'command', command: AGENT, args: ['--iteration', '{iteration}'], promptVia: 'file', completionPattern: '^step 3$' }
+  }));
+  const dryRun = cli(repo, ['--defaults', '--run-loop', '--dry-run']);
+  assert.match(dryRun.stdout, new RegExp(`${AGENT.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')} --iteration 1 .*iter-1/prompt\\.md`));
+
+  const result = cli(repo, ['--defaults', '--run-loop']);
+  assert.strictEqual(result.status, 0, result.stderr);
+  const state = readState(repo);
+  assert.strictEqual(state.iteration, 2);
+  assert.strictEqual(state.stopReason, 'promise');
+  assert.ok(fs.existsSync(path.join(repo, '.codex_logs', state.runId, 'iter-2', 'prompt.md')));
+});
+
+test('--agent rejects an unknown backend', (t) => {
+  const repo = createRepo(t);
+  const result = cli(repo, ['--defaults', '--run-loop', '--agent', 'robot']);
+  assert.strictEqual(result.status, 1);
+  assert.match(result.stderr, /robot/);
+});
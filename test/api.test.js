@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadConfig, runLoop, ConfigError, ResumeError } = require('../src');
+const { AGENT, createRepo, useTestEnv, git, lines } = require('./helpers');
+
+function commandAgent(repo) {
+  return loadConfig({ repoRoot: repo, overrides: { 'agent.type': 'command', 'agent.command': AGENT } }).config;
+}
+
+test('runLoop emits lifecycle events and resolves with the final state', async (t) => {
+  const repo = createRepo(t);
+  useTestEnv(repo, { FAKE_DONE_AT: '3' });
+  const loop = runLoop({ repoRoot: repo, config: commandAgent(repo) });
+  const events = [];
+  ['run:start', 'iteration:start', 'commit', 'iteration:end', 'stop'].forEach((name) => {
+    loop.on(name, (payload) => events.push([name, payload.iteration]));
+  });
+  let output = '';
+  loop.on('output', ({ chunk }) => { output += chunk; });
+
+  const result = await loop.done;
+  assert.strictEqual(result.outcome, 'completed');
+  assert.strictEqual(result.stopReason, 'promise');
+  assert.strictEqual(result.iteration, 2);
+  assert.deepStrictEqual(events, [
+    ['run:start', undefined],
+    ['iteration:start', 1], ['commit', 1], ['iteration:end', 1],
+    ['iteration:start', 2], ['commit', 2], ['iteration:end', 2],
+    ['stop', 2]
+  ]);
+  assert.match(output, /step 2[\s\S]*step 3/);
+  assert.strictEqual(lines(repo).length, 3);
+  assert.strictEqual(git(repo, ['rev-list', '--count', 'HEAD']), '3');
+});
+
+test('a failed start rejects done and is emitted to error listeners', async (t) => {
+  const repo = createRepo(t);
+  useTestEnv(repo);
+  const loop = runLoop({ repoRoot: repo, config: commandAgent(repo), resume: true });
+  const emitted = new Promise((resolve) => loop.on('error', resolve));
+  await assert.rejects(loop.done, ResumeError);
+  assert.ok((await emitted) instanceof ResumeError);
+});
+
+test('loadConfig reports invalid overrides as a ConfigError with details', (t) => {
+  const repo = createRepo(t);
+  useTestEnv(repo);
+  assert.throws(() => loadConfig({ repoRoot: repo, overrides: { 'loop.maxLoops': 'many' } }), (error) => {
+    assert.ok(error instanceof ConfigError);
+    assert.strictEqual(error.code, 'CONFIG_INVALID');
+    assert.deepStrictEqual(error.details.errors.map((problem) => problem.path), ['loop.maxLoops']);
+    return true;
+  });
+});
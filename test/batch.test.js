@@ -0,0 +1,47 @@
+const fs = require('fs');
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert');
+const { AGENT, createRepo, git, cli, readJson } = require('./helpers');
+
+function freshRepo(t) {
+  const repo = createRepo(t);
+  fs.rmSync(path.join(repo, '.codex'), { recursive: true });
+  return repo;
+}
+
+function runBatch(repo, tasks, args = [], env = {}) {
+  const file = path.join(repo, '..', 'tasks.md');
+  fs.writeFileSync(file, tasks);
+  return cli(repo, ['batch', file, '--defaults', '--agent', 'command', ...args], { CODEX_LOOP_AGENT_COMMAND: AGENT, ...env });
+}
+
+test('batch runs each task on its own branch in a fresh repo', (t) => {
+  const repo = freshRepo(t);
+  const result = runBatch(repo, '- [ ] Add a line\n- [x] Already done\n- [ ] Add another\n', [], { FAKE_DONE_AT: '2' });
+  assert.strictEqual(result.status, 0, result.stderr);
+  assert.strictEqual(git(repo, ['rev-parse', '--abbrev-ref', 'HEAD']), 'main');
+  const branches = git(repo, ['branch', '--format=%(refname:short)']).split('\n');
+  assert.ok(branches.some((name) => name.endsWith('-add-a-line')), branches.join(', '));
+  assert.ok(branches.some((name) => name.endsWith('-add-another')), branches.join(', '));
+
+  const summary = fs.readdirSync(path.join(repo, '.codex_logs')).find((name) => /^batch-.*\.json$/.test(name));
+  const batch = readJson(path.join(repo, '.codex_logs', summary));
+  assert.deepStrictEqual(batch.tasks.map((task) => [task.goal, task.outcome]), [['Add a line', 'completed'], ['Add another', 'completed']]);
+});
+
+test('batch stops at the first task that does not complete', (t) => {
+  const repo = freshRepo(t);
+  const result = runBatch(repo, '- [ ] First\n- [ ] Second\n', ['--max-loops', '1']);
+  assert.strictEqual(result.status, 2, result.stderr);
+  const summary = fs.readdirSync(path.join(repo, '.codex_logs')).find((name) => /^batch-.*\.json$/.test(name));
+  assert.deepStrictEqual(readJson(path.join(repo, '.codex_logs', summary)).tasks.map((task) => task.outcome), ['max-loops', 'skipped']);
+});
+
+test('batch refuses to start with uncommitted changes to tracked files', (t) => {
+  const repo = freshRepo(t);
+  fs.appendFileSync(path.join(repo, 'work.txt'), 'edited\n');
+  const result = runBatch(repo, '- [ ] Add a line\n');
+  assert.strictEqual(result.status, 1);
+  assert.match(result.stderr, /Commit or stash these changes[\s\S]*work\.txt/);
+});
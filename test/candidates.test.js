@@ -0,0 +1,20 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createRepo, git, runLoop, readState, lines } = require('./helpers');
+
+test('--candidates runs loops side by side and merges the top-ranked one', (t) => {
+  const repo = createRepo(t);
+  const result = runLoop(repo, ['--candidates', '2'], { FAKE_DONE_AT: '3' });
+  assert.strictEqual(result.status, 0, result.stderr);
+  assert.match(result.stdout, /\[c1\]/);
+  assert.match(result.stdout, /\[c2\]/);
+
+  const state = readState(repo);
+  assert.match(state.runId, /-c[12]$/);
+  assert.strictEqual(state.stopReason, 'promise');
+  assert.strictEqual(git(repo, ['rev-parse', '--abbrev-ref', 'HEAD']), state.branch.replace(/-c[12]$/, ''));
+  assert.strictEqual(lines(repo).length, 3);
+  assert.strictEqual(git(repo, ['branch', '--list', '*-c1', '*-c2']), '');
+  assert.strictEqual(git(repo, ['worktree', 'list']).split('\n').length, 1);
+  assert.match(git(repo, ['for-each-ref', '--format=%(refname)', 'refs/codex-loop/backup/']), /-c[12]$/);
+});
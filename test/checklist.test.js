@@ -0,0 +1,50 @@
+const fs = require('fs');
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert');
+const { createRepo, writePrompt, runLoop, readState, readMeta } = require('./helpers');
+
+const PROMPT = [
+  '# Goal',
+  'Add lines to work.txt.',
+  '',
+  '## Acceptance Criteria',
+  '- work.txt has a second line',
+  '- work.txt has a third line',
+  '- Tests pass: true',
+  ''
+].join('\n');
+
+test('--checklist tracks the acceptance criteria and can end the run', (t) => {
+  const repo = createRepo(t);
+  writePrompt(repo, PROMPT);
+  const result = runLoop(repo, ['--checklist', '--stop-when', 'checklist'], { FAKE_CHECK: '1', CODEX_LOOP_COMMANDS_TEST: 'true' });
+  assert.strictEqual(result.status, 0, result.stderr);
+  assert.match(result.stdout, /Checklist: 1\/2 checked \(50%\)/);
+
+  const state = readState(repo);
+  assert.strictEqual(state.stopReason, 'checklist-complete');
+  assert.strictEqual(state.iteration, 2);
+  assert.strictEqual(state.checklist.checked.length, 2);
+  const checklist = fs.readFileSync(path.join(repo, '.codex', 'CHECKLIST.md'), 'utf8');
+  assert.match(checklist, /^- \[x\] work\.txt has a second line\n- \[x\] work\.txt has a third line\n$/m);
+  assert.doesNotMatch(checklist, /Tests pass/);
+  assert.match(fs.readFileSync(path.join(repo, '.gitignore'), 'utf8'), /CHECKLIST\.md/);
+});
+
+test('an unticked item is reported as reopened', (t) => {
+  const repo = createRepo(t);
+  writePrompt(repo, PROMPT);
+  const checklistPath = path.join(repo, '.codex', 'CHECKLIST.md');
+  const first = runLoop(repo, ['--checklist', '--max-loops', '1'], { FAKE_CHECK: '1' });
+  assert.strictEqual(first.status, 2, first.stderr);
+  fs.writeFileSync(checklistPath, fs.readFileSync(checklistPath, 'utf8').replace(/^- \[x\]/m, '- [ ]'));
+
+  const resumed = runLoop(repo, ['--checklist', '--resume', '--max-loops', '2']);
+  assert.strictEqual(resumed.status, 2, resumed.stderr);
+  assert.match(resumed.stderr, /Checklist items unchecked again: work\.txt has a second line/);
+  const state = readState(repo);
+  const meta = readMeta(repo, 2);
+  assert.deepStrictEqual(meta.checklist.reopened, ['work.txt has a second line']);
+  assert.deepStrictEqual(state.checklist.checked, []);
+});
@@ -0,0 +1,34 @@
+const fs = require('fs');
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert');
+const { createRepo, runLoop, readState, readMeta } = require('./helpers');
+
+
+test('the footer counts only as the last lines of the output', (t) => {
+  const repo = createRepo(t);
+  const trailing = runLoop(repo, ['--max-loops', '1'], { FAKE_DONE_AT: '1', FAKE_TRAILER: 'one more thing' });
+  assert.strictEqual(trailing.status, 2, trailing.stderr);
+  assert.strictEqual(readMeta(repo, 1).promiseFound, false);
+});
+
+test('a closing code fence after the footer is allowed', (t) => {
+  const repo = createRepo(t);
+  const fenced = runLoop(repo, [], { FAKE_DONE_AT: '1', FAKE_TRAILER: '```' });
+  assert.strictEqual(fenced.status, 0, fenced.stderr);
+  assert.strictEqual(readState(repo).iteration, 1);
+  assert.strictEqual(readMeta(repo, 1).exitMessage, 'done at 2');
+});
+
+test('loop.requireGatesForPromise ignores the footer until the gates pass', (t) => {
+  const repo = createRepo(t);
+  const result = runLoop(repo, [], {
+    FAKE_DONE_AT: '1',
+    CODEX_LOOP_LOOP_REQUIRE_GATES_FOR_PROMISE: 'true',
+    CODEX_LOOP_COMMANDS_TEST: 'test "$(wc -l < work.txt)" -ge 4'
+  });
+  assert.strictEqual(result.status, 0, result.stderr);
+  assert.strictEqual(readState(repo).iteration, 3);
+  assert.strictEqual(readMeta(repo, 1).promiseIgnored, 'gates failing: test');
+  assert.strictEqual(readMeta(repo, 3).promiseFound, true);
+});
@@ -0,0 +1,48 @@
+const fs = require('fs');
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert');
+const { createRepo, cli, runLoop } = require('./helpers');
+
+function writeConfig(repo, text) {
+  const configPath = path.join(repo, '.codex', 'config.json');
+  fs.writeFileSync(configPath, text);
+  return configPath;
+}
+
+test('config set and unset edit one key and keep the layout', (t) => {
+  const repo = createRepo(t);
+  const original = '{\n    "loop": {\n        "stopOnNoDiff": false,\n        "maxLoops": 3\n    },\n    "version": 1\n}\n';
+  const configPath = writeConfig(repo, original);
+
+  const set = cli(repo, ['config', 'set', 'loop.maxLoops', '7']);
+  assert.strictEqual(set.status, 0, set.stderr);
+  assert.strictEqual(fs.readFileSync(configPath, 'utf8'), original.replace('"maxLoops": 3', '"maxLoops": 7'));
+
+  assert.strictEqual(cli(repo, ['config', 'set', 'loop.stopOnPromise', 'false']).status, 0);
+  assert.strictEqual(cli(repo, ['config', 'get', 'loop.stopOnPromise']).stdout.trim(), 'false');
+  assert.strictEqual(cli(repo, ['config', 'unset', 'loop.stopOnPromise']).status, 0);
+  assert.strictEqual(fs.readFileSync(configPath, 'utf8'), original.replace('"maxLoops": 3', '"maxLoops": 7'));
+});
+
+test('config set refuses unknown keys and values of the wrong type', (t) => {
+  const repo = createRepo(t);
+  const configPath = writeConfig(repo, '{ "version": 1 }\n');
+
+  const badType = cli(repo, ['config', 'set', 'loop.maxLoops', 'abc']);
+  assert.strictEqual(badType.status, 1);
+  assert.match(badType.stderr, /loop\.maxLoops: expected integer but got string "abc"/);
+  const badKey = cli(repo, ['config', 'set', 'loop.maxloops', '3']);
+  assert.strictEqual(badKey.status, 1);
+  assert.match(badKey.stderr, /Did you mean loop\.maxLoops\?/);
+  assert.strictEqual(fs.readFileSync(configPath, 'utf8'), '{ "version": 1 }\n');
+});
+
+test('a run stops at startup when the config does not match the schema', (t) => {
+  const repo = createRepo(t);
+  writeConfig(repo, '{ "version": 1, "loop": { "stopOnTestsPass": "yes" } }\n');
+  const result = runLoop(repo, [], { FAKE_DONE_AT: '2' });
+  assert.strictEqual(result.status, 1);
+  assert.match(result.stderr, /loop\.stopOnTestsPass/);
+  assert.strictEqual(fs.readFileSync(path.join(repo, 'work.txt'), 'utf8'), 'start\n');
+});
@@ -0,0 +1,45 @@
+const fs = require('fs');
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert');
+const { createRepo, runLoop } = require('./helpers');
+
+test('--events - keeps stdout to JSON lines and moves the rest to stderr', (t) => {
+  const repo = createRepo(t);
+  const result = runLoop(repo, ['--events', '-'], { FAKE_DONE_AT: '3', CODEX_LOOP_COMMANDS_TEST: 'true' });
+  assert.strictEqual(result.status, 0, result.stderr);
+  const events = result.stdout.trim().split('\n').map((line) => JSON.parse(line));
+  assert.deepStrictEqual(events.map((event) => event.event), [
+    'run:start',
+    'iteration:start', 'gate:result', 'commit', 'iteration:end',
+    'iteration:start', 'gate:result', 'commit', 'iteration:end',
+    'stop'
+  ]);
+  assert.ok(events.every((event) => event.runId === events[0].runId && !Number.isNaN(Date.parse(event.time))));
+  const stop = events[events.length - 1];
+  assert.strictEqual(stop.outcome, 'completed');
+  assert.strictEqual(stop.exitCode, 0);
+  assert.strictEqual(stop.counts.iterations, 2);
+  assert.match(result.stderr, /step 3/);
+});
+
+test('--events <file> records a run that ends without meeting the stop policy', (t) => {
+  const repo = createRepo(t);
+  const eventsPath = path.join(repo, '..', 'events.jsonl');
+  const result = runLoop(repo, ['--events', eventsPath, '--max-loops', '1']);
+  assert.strictEqual(result.status, 2, result.stderr);
+  const events = fs.readFileSync(eventsPath, 'utf8').trim().split('\n').map((line) => JSON.parse(line));
+  const stop = events.find((event) => event.event === 'stop');
+  assert.strictEqual(stop.outcome, 'max-loops');
+  assert.strictEqual(stop.exitCode, 2);
+  assert.match(result.stdout, /step 2/);
+});
+
+test('an error before the run starts is written as an error event and exits 1', (t) => {
+  const repo = createRepo(t);
+  const result = runLoop(repo, ['--events', '-', '--resume']);
+  assert.strictEqual(result.status, 1);
+  const events = result.stdout.trim().split('\n').map((line) => JSON.parse(line));
+  assert.strictEqual(events[events.length - 1].event, 'error');
+  assert.strictEqual(events[events.length - 1].code, 'RESUME_UNAVAILABLE');
+});
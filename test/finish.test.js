@@ -0,0 +1,57 @@
+const fs = require('fs');
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert');
+const { AGENT, createRepo, git, cli, readState } = require('./helpers');
+
+function withRemote(t) {
+  const repo = createRepo(t);
+  const remote = path.join(repo, '..', 'remote.git');
+  git(path.dirname(repo), ['init', '-q', '--bare', '-b', 'main', remote]);
+  git(repo, ['remote', 'add', 'origin', remote]);
+  git(repo, ['push', '-q', 'origin', 'main']);
+  return { repo, remote };
+}
+
+function runFinish(repo, args = [], env = {}) {
+  return cli(repo, ['--defaults', '--run-loop', '--agent', 'command', '--finish', ...args], { CODEX_LOOP_AGENT_COMMAND: AGENT, FAKE_DONE_AT: '3', ...env });
+}
+
+test('--finish pushes the run branch and writes a PR description', (t) => {
+  const { repo, remote } = withRemote(t);
+  const result = runFinish(repo, ['--pr-command', 'echo {title} > ../pr-title.txt']);
+  assert.strictEqual(result.status, 0, result.stderr);
+  const state = readState(repo);
+  assert.strictEqual(state.finish.pushed, true);
+  assert.strictEqual(git(remote, ['rev-parse', state.branch]), git(repo, ['rev-parse', 'HEAD']));
+  assert.strictEqual(git(repo, ['rev-parse', '--abbrev-ref', '@{upstream}']), `origin/${state.branch}`);
+  assert.match(fs.readFileSync(path.join(repo, '.codex_logs', state.runId, 'pr.md'), 'utf8'), /step 3/);
+  assert.strictEqual(fs.readFileSync(path.join(repo, '..', 'pr-title.txt'), 'utf8').trim(), state.finish.title);
+  assert.strictEqual(state.finish.prCommand.exitCode, 0);
+});
+
+test('a run without its own branch is never pushed', (t) => {
+  const { repo, remote } = withRemote(t);
+  const before = git(remote, ['rev-parse', 'main']);
+  const result = runFinish(repo, [], { CODEX_LOOP_BRANCH_CREATE: 'false' });
+  assert.strictEqual(result.status, 0, result.stderr);
+  const state = readState(repo);
+  assert.strictEqual(state.branch, 'main');
+  assert.strictEqual(state.finish.pushed, false);
+  assert.match(state.finish.pushError, /main/);
+  assert.strictEqual(git(remote, ['rev-parse', 'main']), before);
+
+  const finish = cli(repo, ['finish', 'last']);
+  assert.strictEqual(finish.status, 1);
+  assert.strictEqual(git(remote, ['rev-parse', 'main']), before);
+});
+
+test('a failed push is a warning and keeps the run result', (t) => {
+  const repo = createRepo(t);
+  const result = runFinish(repo, ['--remote', 'nowhere']);
+  assert.strictEqual(result.status, 0, result.stderr);
+  const state = readState(repo);
+  assert.strictEqual(state.stopReason, 'promise');
+  assert.strictEqual(state.finish.pushed, false);
+  assert.ok(state.finish.pushError);
+});
@@ -0,0 +1,36 @@
+#!/bin/sh
+# Stand-in coding agent for the loop tests. Each run appends a line to work.txt
+# and reports completion once work.txt has FAKE_DONE_AT lines.
+#   FAKE_NOOP=1        change nothing
+#   FAKE_SLEEP=<s>     sleep before exiting
+#   FAKE_FAIL_AT=<n>   exit 3 on line n
+#   FAKE_TOUCH=<list>  also write these space-separated paths
+#   FAKE_TRAILER=<s>   print this after the completion footer
+#   FAKE_CHECK=1       tick the first open item in .codex/CHECKLIST.md
+cat >/dev/null
+if [ -z "$FAKE_NOOP" ]; then
+  echo "line" >>work.txt
+fi
+n=$(wc -l <work.txt | tr -d ' ')
+for path in $FAKE_TOUCH; do
+  mkdir -p "$(dirname "$path")"
+  echo "$n" >>"$path"
+done
+if [ -n "$FAKE_CHECK" ]; then
+  awk '!done && /^- \[ \] / { sub(/^- \[ \] /, "- [x] "); done = 1 } { print }' .codex/CHECKLIST.md >.codex/CHECKLIST.tmp
+  mv .codex/CHECKLIST.tmp .codex/CHECKLIST.md
+fi
+echo "step $n"
+if [ -n "$FAKE_FAIL_AT" ] && [ "$n" -eq "$FAKE_FAIL_AT" ]; then
+  exit 3
+fi
+if [ -n "$FAKE_SLEEP" ]; then
+  sleep "$FAKE_SLEEP"
+fi
+if [ -n "$FAKE_DONE_AT" ] && [ "$n" -ge "$FAKE_DONE_AT" ]; then
+  printf 'PROMISE: true\nEXIT_MESSAGE: "done at %s"\n' "$n"
+  if [ -n "$FAKE_TRAILER" ]; then
+    echo "$FAKE_TRAILER"
+  fi
+fi
+exit 0
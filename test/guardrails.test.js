@@ -0,0 +1,57 @@
+const fs = require('fs');
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert');
+const { AGENT, createRepo, git, cli, readState, readMeta } = require('./helpers');
+
+function runGuarded(repo, guardrails, env) {
+  fs.writeFileSync(path.join(repo, '.codex', 'config.json'), JSON.stringify({
+    version: 1,
+    agent: { type: 'command', command: AGENT },
+    ...(guardrails ? { guardrails } : {})
+  }));
+  return cli(repo, ['--defaults', '--run-loop'], { FAKE_DONE_AT: '2', ...env });
+}
+
+test('changes to protected paths are reverted and the rest is committed', (t) => {
+  const repo = createRepo(t);
+  fs.mkdirSync(path.join(repo, '.github', 'workflows'), { recursive: true });
+  fs.writeFileSync(path.join(repo, '.github', 'workflows', 'ci.yml'), 'name: ci\n');
+  git(repo, ['add', '.github']);
+  git(repo, ['commit', '-q', '-m', 'ci']);
+
+  const result = runGuarded(repo, null, { FAKE_TOUCH: '.github/workflows/ci.yml .github/extra/new.yml sub/dir/package-lock.json notes.md' });
+  assert.strictEqual(result.status, 0, result.stderr);
+  assert.match(result.stderr, /\.github\/workflows\/ci\.yml/);
+  assert.strictEqual(fs.readFileSync(path.join(repo, '.github', 'workflows', 'ci.yml'), 'utf8'), 'name: ci\n');
+  assert.ok(!fs.existsSync(path.join(repo, '.github', 'extra')), 'empty folders left by a revert are removed');
+  assert.ok(!fs.existsSync(path.join(repo, 'sub')), 'empty folders left by a revert are removed');
+  assert.ok(fs.existsSync(path.join(repo, 'notes.md')));
+  assert.deepStrictEqual(git(repo, ['diff', '--name-only', 'HEAD~1', 'HEAD']).split('\n'), ['work.txt']);
+
+  const state = readState(repo);
+  const iterDir = path.join(repo, '.codex_logs', state.runId, 'iter-1');
+  const meta = readMeta(repo, 1);
+  assert.strictEqual(meta.guardrails.action, 'reverted');
+  assert.deepStrictEqual(meta.guardrails.violations.map((violation) => [violation.path, violation.rule, violation.pattern]).sort(), [
+    ['.github/extra/new.yml', 'protected', '.github/**'],
+    ['.github/workflows/ci.yml', 'protected', '.github/**'],
+    ['sub/dir/package-lock.json', 'protected', 'package-lock.json']
+  ]);
+  assert.ok(fs.existsSync(path.join(iterDir, 'guardrails.patch')));
+  assert.strictEqual(state.guardrails.violations, 1);
+});
+
+test('onViolation stop keeps the iteration uncommitted and ends the run', (t) => {
+  const repo = createRepo(t);
+  const head = git(repo, ['rev-parse', 'HEAD']);
+  const result = runGuarded(repo, { allowedPaths: ['work.txt', 'docs/'], onViolation: 'stop' }, { FAKE_TOUCH: 'docs/a.md src/b.js' });
+  assert.strictEqual(result.status, 4, result.stderr);
+  const state = readState(repo);
+  assert.strictEqual(state.stopReason, 'guardrails');
+  assert.strictEqual(git(repo, ['rev-parse', 'HEAD']), head);
+  assert.ok(fs.existsSync(path.join(repo, 'src', 'b.js')));
+  const meta = readMeta(repo, 1);
+  assert.strictEqual(meta.guardrails.action, 'blocked');
+  assert.deepStrictEqual(meta.guardrails.violations.map((violation) => [violation.path, violation.rule]), [['src/b.js', 'not-allowed']]);
+});
@@ -0,0 +1,121 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn, spawnSync } = require('child_process');
+
+const CLI = path.join(__dirname, '..', 'src', 'cli.js');
+const AGENT = path.join(__dirname, 'fixtures', 'agent.sh');
+
+const GIT_ENV = {
+  GIT_AUTHOR_NAME: 'codex-loop test',
+  GIT_AUTHOR_EMAIL: 'test@codex-loop.invalid',
+  GIT_COMMITTER_NAME: 'codex-loop test',
+  GIT_COMMITTER_EMAIL: 'test@codex-loop.invalid',
+  GIT_CONFIG_NOSYSTEM: '1'
+};
+
+function tempDir(t, name) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), `codex-loop-${name}-`));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+function testEnv(home, env = {}) {
+  const base = {};
+  for (const [key, value] of Object.entries(process.env)) {
+    if (!key.startsWith('CODEX_LOOP_') && !key.startsWith('GIT_') && key !== 'XDG_CONFIG_HOME') base[key] = value;
+  }
+  return { ...base, ...GIT_ENV, HOME: home, ...env };
+}
+
+// for tests that call the API in-process instead of through the CLI
+function useTestEnv(repo, env = {}) {
+  delete process.env.XDG_CONFIG_HOME;
+  Object.assign(process.env, GIT_ENV, { HOME: path.join(repo, '..', 'home') }, env);
+}
+
+function git(repo, args) {
+  const result = spawnSync('git', args, { cwd: repo, encoding: 'utf8', env: testEnv(os.tmpdir()) });
+  if (result.status !== 0) throw new Error(`git ${args.join(' ')} failed: ${result.stderr}`);
+  return result.stdout.trim();
+}
+
+// a throwaway repository on branch main with one committed file
+function createRepo(t) {
+  const root = tempDir(t, 'repo');
+  const repo = path.join(root, 'repo');
+  fs.mkdirSync(repo);
+  fs.mkdirSync(path.join(root, 'home'));
+  git(repo, ['init', '-q', '-b', 'main']);
+  fs.writeFileSync(path.join(repo, 'work.txt'), 'start\n');
+  git(repo, ['add', '.']);
+  git(repo, ['commit', '-q', '-m', 'init']);
+  writePrompt(repo, '# Goal\nAdd lines to work.txt.\n');
+  return repo;
+}
+
+function writePrompt(repo, text) {
+  fs.mkdirSync(path.join(repo, '.codex'), { recursive: true });
+  fs.writeFileSync(path.join(repo, '.codex', 'CODEX_PROMPT.md'), text);
+}
+
+function cli(repo, args, env = {}) {
+  const result = spawnSync(process.execPath, [CLI, ...args], {
+    cwd: repo,
+    encoding: 'utf8',
+    env: testEnv(path.join(repo, '..', 'home'), env),
+    stdio: ['ignore', 'pipe', 'pipe'],
+    timeout: 60000
+  });
+  if (result.error) throw result.error;
+  return result;
+}
+
+// a loop run that needs no confirmation and drives the stand-in agent
+function runLoop(repo, args = [], env = {}) {
+  return cli(repo, ['--defaults', '--run-loop', '--codex-path', AGENT, ...args], env);
+}
+
+// starts a loop run in the background; resolves once its stdout matches `ready`
+function startLoop(repo, args, env, ready) {
+  const child = spawn(process.execPath, [CLI, '--defaults', '--run-loop', '--codex-path', AGENT, ...args], {
+    cwd: repo,
+    env: testEnv(path.join(repo, '..', 'home'), env),
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+  const result = { child, stdout: '', stderr: '' };
+  result.exited = new Promise((resolve) => child.on('close', (status, signal) => resolve({ ...result, status, signal })));
+  const timer = setTimeout(() => child.kill('SIGKILL'), 60000);
+  child.on('close', () => clearTimeout(timer));
+  child.stderr.on('data', (chunk) => { result.stderr += chunk; });
+  return new Promise((resolve, reject) => {
+    child.stdout.on('data', (chunk) => {
+      result.stdout += chunk;
+      if (ready.test(result.stdout)) resolve(result);
+    });
+    child.on('close', () => reject(new Error(`loop exited before ${ready}: ${result.stdout}${result.stderr}`)));
+  });
+}
+
+// run ids and branch names are timestamps, so a second run needs a new second
+function nextSecond() {
+  return new Promise((resolve) => setTimeout(resolve, 1100 - (Date.now() % 1000)));
+}
+
+function readJson(filePath) {
+  return JSON.parse(fs.readFileSync(filePath, 'utf8').replace(/^\uFEFF/, ''));
+}
+
+function readState(repo) {
+  return readJson(path.join(repo, '.codex', 'state.json'));
+}
+
+function readMeta(repo, iteration) {
+  return readJson(path.join(repo, '.codex_logs', readState(repo).runId, `iter-${iteration}`, 'meta.json'));
+}
+
+function lines(repo) {
+  return fs.readFileSync(path.join(repo, 'work.txt'), 'utf8').trim().split('\n');
+}
+
+module.exports = { AGENT, tempDir, useTestEnv, git, createRepo, writePrompt, cli, runLoop, startLoop, nextSecond, readJson, readState, readMeta, lines };
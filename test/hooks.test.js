@@ -0,0 +1,52 @@
+const fs = require('fs');
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert');
+const { AGENT, createRepo, cli, readState, readMeta } = require('./helpers');
+
+const record = 'echo "$CODEX_LOOP_HOOK $CODEX_LOOP_ITERATION $CODEX_LOOP_PROMISE $CODEX_LOOP_STOP_REASON" >> ../hooks.log';
+
+function configure(repo, hooks) {
+  fs.writeFileSync(path.join(repo, '.codex', 'config.json'), JSON.stringify({
+    version: 1,
+    agent: { type: 'command', command: AGENT },
+    hooks
+  }));
+}
+
+function hookLog(repo) {
+  return fs.readFileSync(path.join(repo, '..', 'hooks.log'), 'utf8').trim().split('\n').map((line) => line.trim());
+}
+
+test('hooks run at each point of a completed run with its context', (t) => {
+  const repo = createRepo(t);
+  configure(repo, { preRun: record, preIteration: record, postIteration: record, onComplete: record, onFailure: record });
+  const result = cli(repo, ['--defaults', '--run-loop'], { FAKE_DONE_AT: '3' });
+  assert.strictEqual(result.status, 0, result.stderr);
+  assert.deepStrictEqual(hookLog(repo), [
+    'preRun 1',
+    'preIteration 1',
+    'postIteration 1 false',
+    'preIteration 2',
+    'postIteration 2 true promise',
+    'onComplete 2 true promise'
+  ]);
+  const meta = readMeta(repo, 1);
+  assert.deepStrictEqual(meta.hooks.map((hook) => [hook.name, hook.exitCode]), [['preRun', 0], ['preIteration', 0], ['postIteration', 0]]);
+});
+
+test('hooks.abortOnFailure stops the run at a failing hook and runs onFailure', (t) => {
+  const repo = createRepo(t);
+  configure(repo, {
+    preIteration: `${record}; test "$CODEX_LOOP_ITERATION" != 2`,
+    onComplete: record,
+    onFailure: record,
+    abortOnFailure: true
+  });
+  const result = cli(repo, ['--defaults', '--run-loop']);
+  assert.strictEqual(result.status, 4, result.stderr);
+  const state = readState(repo);
+  assert.strictEqual(state.stopReason, 'hook-failed');
+  assert.strictEqual(state.failedHook, 'preIteration');
+  assert.deepStrictEqual(hookLog(repo), ['preIteration 1', 'preIteration 2', 'onFailure 1 false hook-failed']);
+});
@@ -0,0 +1,25 @@
+const fs = require('fs');
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert');
+const { createRepo, runLoop, startLoop, readState, lines } = require('./helpers');
+
+test('SIGINT saves the state and --resume reruns the interrupted iteration', async (t) => {
+  const repo = createRepo(t);
+  const run = await startLoop(repo, [], { FAKE_SLEEP: '30' }, /step 2/);
+  run.child.kill('SIGINT');
+  const { status } = await run.exited;
+  assert.strictEqual(status, 130);
+  const state = readState(repo);
+  assert.strictEqual(state.stopReason, 'interrupted');
+  assert.strictEqual(state.iteration, 0);
+  assert.strictEqual(state.incompleteIteration, 1);
+
+  const resumed = runLoop(repo, ['--resume'], { FAKE_DONE_AT: '3' });
+  assert.strictEqual(resumed.status, 0, resumed.stderr);
+  assert.match(resumed.stdout, /at iteration 1 of/);
+  assert.strictEqual(readState(repo).stopReason, 'promise');
+  assert.strictEqual(lines(repo).length, 3);
+  const logs = fs.readdirSync(path.join(repo, '.codex_logs', state.runId));
+  assert.ok(logs.some((name) => name.startsWith('iter-1-interrupted-')), logs.join(', '));
+});
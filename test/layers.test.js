@@ -0,0 +1,50 @@
+const fs = require('fs');
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert');
+const { createRepo, cli } = require('./helpers');
+
+function printConfig(repo, args = [], env = {}) {
+  const result = cli(repo, ['--print-config', '--defaults', ...args], env);
+  assert.strictEqual(result.status, 0, result.stderr);
+  return JSON.parse(result.stdout);
+}
+
+test('each layer overrides the one below and --print-config names its source', (t) => {
+  const repo = createRepo(t);
+  const userDir = path.join(repo, '..', 'home', '.config', 'codex-loop');
+  fs.mkdirSync(userDir, { recursive: true });
+  fs.writeFileSync(path.join(userDir, 'config.json'), JSON.stringify({
+    codex: { model: 'user-model' },
+    loop: { maxLoops: 11 },
+    profiles: { ci: { loop: { maxLoops: 4, stopOnNoDiff: true } } }
+  }));
+  fs.writeFileSync(path.join(repo, '.codex', 'config.json'), JSON.stringify({ version: 1, loop: { maxLoops: 9 } }));
+
+  const plain = printConfig(repo);
+  assert.strictEqual(plain.config.codex.model, 'user-model');
+  assert.strictEqual(plain.config.loop.maxLoops, 9);
+  assert.match(plain.sources['codex.model'], /^user:.*config\.json$/);
+  assert.match(plain.sources['loop.maxLoops'], /^repo:/);
+
+  const layered = printConfig(repo, ['--profile', 'ci'], { CODEX_LOOP_CODEX_MODEL: 'env-model' });
+  assert.strictEqual(layered.config.loop.maxLoops, 4);
+  assert.strictEqual(layered.config.loop.stopOnNoDiff, true);
+  assert.strictEqual(layered.config.codex.model, 'env-model');
+  assert.strictEqual(layered.sources['loop.maxLoops'], 'profile:ci');
+  assert.strictEqual(layered.sources['codex.model'], 'env:CODEX_LOOP_CODEX_MODEL');
+
+  const flagged = printConfig(repo, ['--profile', 'ci', '--max-loops', '2']);
+  assert.strictEqual(flagged.config.loop.maxLoops, 2);
+  assert.strictEqual(flagged.sources['loop.maxLoops'], 'flag:--max-loops');
+});
+
+test('an unknown profile or a bad environment value is rejected', (t) => {
+  const repo = createRepo(t);
+  const profile = cli(repo, ['--print-config', '--defaults', '--profile', 'nope']);
+  assert.strictEqual(profile.status, 1);
+  assert.match(profile.stderr, /nope/);
+  const env = cli(repo, ['--print-config', '--defaults'], { CODEX_LOOP_LOOP_MAX_LOOPS: 'many' });
+  assert.strictEqual(env.status, 1);
+  assert.match(env.stderr, /CODEX_LOOP_LOOP_MAX_LOOPS/);
+});
@@ -0,0 +1,45 @@
+const fs = require('fs');
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert');
+const { createRepo, git, cli, runLoop, nextSecond, readState } = require('./helpers');
+
+test('logs list, diff and prune work across a prompt-only run and a loop run', async (t) => {
+  const repo = createRepo(t);
+  assert.strictEqual(cli(repo, ['--defaults', '--prompt-only']).status, 0);
+  const promptOnly = readState(repo);
+  assert.strictEqual(promptOnly.stopReason, 'prompt-only');
+  await nextSecond();
+  assert.strictEqual(runLoop(repo, [], { FAKE_DONE_AT: '3' }).status, 0);
+  const { runId } = readState(repo);
+
+  const list = cli(repo, ['logs', 'list']);
+  assert.match(list.stdout, new RegExp(`${promptOnly.runId} .* prompt-only`));
+  assert.match(list.stdout, new RegExp(`${runId} .* 2 +promise`));
+
+  const diff = cli(repo, ['logs', 'diff', runId, '1', '2']);
+  assert.strictEqual(diff.status, 0, diff.stderr);
+  assert.match(diff.stdout, /\(iter 1\).*\(iter 2\)[\s\S]*^ line\n\+line$/m);
+  const missing = cli(repo, ['logs', 'diff', runId, '1', '5']);
+  assert.strictEqual(missing.status, 1);
+  assert.match(missing.stderr, new RegExp(`Run ${runId} has no iteration 5 \\(it has 0, 1, 2\\)`));
+
+  const prune = cli(repo, ['logs', 'prune', '--keep', '1']);
+  assert.strictEqual(prune.status, 0, prune.stderr);
+  assert.deepStrictEqual(fs.readdirSync(path.join(repo, '.codex_logs')), [runId]);
+});
+
+test('logs diff compares the saved patches once the commits are gone', (t) => {
+  const repo = createRepo(t);
+  assert.strictEqual(runLoop(repo, [], { FAKE_DONE_AT: '3' }).status, 0);
+  const { runId, branch } = readState(repo);
+  git(repo, ['checkout', '-q', 'main']);
+  git(repo, ['branch', '-q', '-D', branch]);
+  git(repo, ['reflog', 'expire', '--expire=now', '--all']);
+  git(repo, ['gc', '-q', '--prune=now']);
+
+  const diff = cli(repo, ['logs', 'diff', runId, '1', '2']);
+  assert.strictEqual(diff.status, 0, diff.stderr);
+  assert.match(diff.stdout, /iter-1\/diff\.patch/);
+  assert.doesNotMatch(diff.stdout, /\/tmp\//);
+});
@@ -0,0 +1,71 @@
+const fs = require('fs');
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert');
+const { AGENT, createRepo, cli, readState, readMeta } = require('./helpers');
+
+const enoughLines = (n) => `test "$(wc -l < work.txt)" -ge ${n}`;
+
+function runPhases(repo, phases, args = [], env = {}, extra = {}) {
+  fs.writeFileSync(path.join(repo, '.codex', 'config.json'), JSON.stringify({
+    version: 1,
+    agent: { type: 'command', command: AGENT },
+    phases,
+    ...extra
+  }));
+  return cli(repo, ['--defaults', '--run-loop', ...args], env);
+}
+
+
+test('phases run in order, each until its own gates pass', (t) => {
+  const repo = createRepo(t);
+  const result = runPhases(repo, [
+    { name: 'three lines', goal: 'Reach three lines', commands: { test: enoughLines(3) } },
+    { name: 'five lines', goal: 'Reach five lines', commands: { test: enoughLines(5) } }
+  ]);
+  assert.strictEqual(result.status, 0, result.stderr);
+  const state = readState(repo);
+  assert.strictEqual(state.stopReason, 'phases-complete');
+  assert.strictEqual(state.iteration, 4);
+  assert.deepStrictEqual([1, 2, 3, 4].map((i) => [readMeta(repo, i).phase.name, readMeta(repo, i).phase.passed]), [
+    ['three lines', false], ['three lines', true], ['five lines', false], ['five lines', true]
+  ]);
+  const input = fs.readFileSync(path.join(repo, '.codex_logs', state.runId, 'iter-3', 'prompt.md'), 'utf8');
+  assert.match(input, /Reach five lines/);
+});
+
+test('a phase that uses its budget stops the run and --resume gives it a fresh one', (t) => {
+  const repo = createRepo(t);
+  const phases = [
+    { name: 'three lines', goal: 'Reach three lines', commands: { test: enoughLines(3) } },
+    { name: 'five lines', goal: 'Reach five lines', commands: { test: enoughLines(5) }, maxLoops: 1 }
+  ];
+  const result = runPhases(repo, phases);
+  assert.strictEqual(result.status, 2, result.stderr);
+  assert.strictEqual(readState(repo).stopReason, 'phase-budget');
+  assert.strictEqual(readState(repo).iteration, 3);
+
+  const resumed = cli(repo, ['--defaults', '--run-loop', '--resume']);
+  assert.strictEqual(resumed.status, 0, resumed.stderr);
+  assert.strictEqual(readState(repo).stopReason, 'phases-complete');
+  assert.strictEqual(readState(repo).iteration, 4);
+});
+
+test('requireGatesForPromise checks the gates of the active phase', (t) => {
+  const repo = createRepo(t);
+  const result = runPhases(repo, [{ name: 'only', goal: 'Reach three lines', commands: { test: enoughLines(3) } }], [], { FAKE_DONE_AT: '1' }, {
+    commands: { lint: 'false' },
+    loop: { requireGatesForPromise: true }
+  });
+  assert.strictEqual(result.status, 0, result.stderr);
+  assert.strictEqual(readMeta(repo, 1).promiseIgnored, 'gates failing: test');
+  assert.strictEqual(readMeta(repo, 2).promiseIgnored, undefined);
+  assert.strictEqual(readMeta(repo, 2).promiseFound, true);
+});
+
+test('a phase without any gate is rejected at startup', (t) => {
+  const repo = createRepo(t);
+  const result = runPhases(repo, [{ name: 'vague', goal: 'Do things' }]);
+  assert.strictEqual(result.status, 1);
+  assert.match(result.stderr, /vague/);
+});
@@ -0,0 +1,25 @@
+const fs = require('fs');
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert');
+const { createRepo, runLoop, readState } = require('./helpers');
+
+test('--progress journals each iteration and feeds earlier entries to the next one', (t) => {
+  const repo = createRepo(t);
+  const promptPath = path.join(repo, '.codex', 'CODEX_PROMPT.md');
+  const prompt = fs.readFileSync(promptPath, 'utf8');
+  const result = runLoop(repo, ['--progress'], { FAKE_DONE_AT: '3' });
+  assert.strictEqual(result.status, 0, result.stderr);
+
+  const journal = fs.readFileSync(path.join(repo, '.codex', 'PROGRESS.md'), 'utf8');
+  assert.match(journal, /## Iteration 1\n- Codex exit code: 0[\s\S]*step 2[\s\S]*work\.txt \| 1 \+/);
+  assert.match(journal, /## Iteration 2\n/);
+
+  const logsRoot = path.join(repo, '.codex_logs', readState(repo).runId);
+  const second = fs.readFileSync(path.join(logsRoot, 'iter-2', 'prompt.md'), 'utf8');
+  assert.ok(!fs.existsSync(path.join(logsRoot, 'iter-1', 'prompt.md')), 'iteration 1 has nothing to add to the prompt');
+  assert.match(second, /# Progress From Previous Iterations[\s\S]*### Iteration 1\n/);
+  assert.doesNotMatch(second, /### Iteration 2/);
+  assert.strictEqual(fs.readFileSync(promptPath, 'utf8'), prompt);
+  assert.match(fs.readFileSync(path.join(repo, '.gitignore'), 'utf8'), /PROGRESS\.md/);
+});
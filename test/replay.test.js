@@ -0,0 +1,41 @@
+const fs = require('fs');
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert');
+const { AGENT, createRepo, git, cli, nextSecond, readState, readMeta } = require('./helpers');
+
+test('--replay reproduces a recorded run without calling the agent', async (t) => {
+  const repo = createRepo(t);
+  const recorded = cli(repo, ['--defaults', '--run-loop', '--agent', 'command', '--record'], { CODEX_LOOP_AGENT_COMMAND: AGENT, FAKE_DONE_AT: '3' });
+  assert.strictEqual(recorded.status, 0, recorded.stderr);
+  const first = readState(repo);
+  const fixture = path.join(repo, '.codex_logs', first.runId, 'iter-2', 'fixture');
+  assert.deepStrictEqual(fs.readdirSync(fixture).sort(), ['changes.patch', 'result.json', 'stderr.txt', 'stdout.txt']);
+  const firstTree = git(repo, ['rev-parse', 'HEAD^{tree}']);
+  const firstLog = git(repo, ['log', '--format=%s', 'main..HEAD']);
+
+  git(repo, ['checkout', '-q', 'main']);
+  await nextSecond();
+  const replayed = cli(repo, ['--defaults', '--run-loop', '--agent', 'command', '--replay', 'last'], { CODEX_LOOP_AGENT_COMMAND: path.join(repo, 'no-such-agent') });
+  assert.strictEqual(replayed.status, 0, replayed.stderr);
+  const second = readState(repo);
+  assert.notStrictEqual(second.runId, first.runId);
+  assert.strictEqual(second.stopReason, first.stopReason);
+  assert.strictEqual(second.iteration, 2);
+  assert.strictEqual(git(repo, ['rev-parse', 'HEAD^{tree}']), firstTree);
+  assert.strictEqual(git(repo, ['log', '--format=%s', 'main..HEAD']), firstLog);
+});
+
+test('a replay fails an iteration whose recorded changes no longer apply', async (t) => {
+  const repo = createRepo(t);
+  assert.strictEqual(cli(repo, ['--defaults', '--run-loop', '--agent', 'command', '--record'], { CODEX_LOOP_AGENT_COMMAND: AGENT, FAKE_DONE_AT: '2' }).status, 0);
+  git(repo, ['checkout', '-q', 'main']);
+  fs.writeFileSync(path.join(repo, 'work.txt'), 'rewritten\n');
+  git(repo, ['commit', '-q', '-am', 'rewrite']);
+  await nextSecond();
+
+  const replayed = cli(repo, ['--defaults', '--run-loop', '--replay', 'last']);
+  const meta = readMeta(repo, 1);
+  assert.notStrictEqual(meta.exitCode, 0, replayed.stdout);
+  assert.strictEqual(fs.readFileSync(path.join(repo, 'work.txt'), 'utf8'), 'rewritten\n');
+});
@@ -0,0 +1,34 @@
+const fs = require('fs');
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert');
+const { createRepo, tempDir, cli, runLoop, readState } = require('./helpers');
+
+test('report writes a Markdown timeline and a self-contained HTML page', (t) => {
+  const repo = createRepo(t);
+  assert.strictEqual(runLoop(repo, [], { FAKE_DONE_AT: '3' }).status, 0);
+  const { runId, branch } = readState(repo);
+  const out = tempDir(t, 'report');
+
+  const result = cli(repo, ['report', 'last', '--out', out]);
+  assert.strictEqual(result.status, 0, result.stderr);
+  const markdown = fs.readFileSync(path.join(out, 'report.md'), 'utf8');
+  assert.match(markdown, new RegExp(`^# codex-loop run ${runId}`));
+  assert.match(markdown, new RegExp(`- Branch: \`${branch}\``));
+  assert.match(markdown, /- Stop reason: \*\*promise\*\*/);
+  assert.match(markdown, /\| 1 \| 0 \| \d+s \| - \| `[0-9a-f]{8}` \| step 2 \|/);
+  assert.match(markdown, /\| 2 \| 0 \| \d+s \| - \| `[0-9a-f]{8}` \| step 3 \|/);
+  assert.match(markdown, /work\.txt \| 1 \+/);
+
+  const html = fs.readFileSync(path.join(out, 'report.html'), 'utf8');
+  assert.doesNotMatch(html, /<script|<link/);
+  assert.match(html, /<span class="add">\+line/);
+});
+
+test('--report writes the report into the run folder when the loop ends', (t) => {
+  const repo = createRepo(t);
+  assert.strictEqual(runLoop(repo, ['--report'], { FAKE_DONE_AT: '2' }).status, 0);
+  const logsRoot = path.join(repo, '.codex_logs', readState(repo).runId);
+  assert.ok(fs.existsSync(path.join(logsRoot, 'report.html')));
+  assert.ok(fs.existsSync(path.join(logsRoot, 'report.md')));
+});
@@ -0,0 +1,29 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createRepo, runLoop, readState, lines } = require('./helpers');
+
+test('--resume continues the run where max-loops stopped it', (t) => {
+  const repo = createRepo(t);
+  const first = runLoop(repo, ['--max-loops', '2']);
+  assert.strictEqual(first.status, 2, first.stderr);
+  const stopped = readState(repo);
+  assert.strictEqual(stopped.iteration, 2);
+  assert.strictEqual(stopped.stopReason, 'max-loops');
+
+  const resumed = runLoop(repo, ['--resume', '--max-loops', '5'], { FAKE_DONE_AT: '4' });
+  assert.strictEqual(resumed.status, 0, resumed.stderr);
+  assert.match(resumed.stdout, /Resuming run .* at iteration 3 of 5/);
+  const state = readState(repo);
+  assert.strictEqual(state.runId, stopped.runId);
+  assert.strictEqual(state.iteration, 3);
+  assert.strictEqual(state.stopReason, 'promise');
+  assert.strictEqual(lines(repo).length, 4);
+});
+
+test('--resume refuses a run that already finished', (t) => {
+  const repo = createRepo(t);
+  assert.strictEqual(runLoop(repo, [], { FAKE_DONE_AT: '2' }).status, 0);
+  const resumed = runLoop(repo, ['--resume']);
+  assert.strictEqual(resumed.status, 1);
+  assert.match(resumed.stderr, /Cannot resume: run .* already finished \(promise\)/);
+});
@@ -0,0 +1,56 @@
+const fs = require('fs');
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert');
+const { createRepo, git, cli, runLoop, readState, lines } = require('./helpers');
+
+test('rollback drops later iterations, keeps a backup ref and lets --resume continue', (t) => {
+  const repo = createRepo(t);
+  assert.strictEqual(runLoop(repo, ['--max-loops', '3']).status, 2);
+  const { runId } = readState(repo);
+  const tip = git(repo, ['rev-parse', 'HEAD']);
+
+  const rollback = cli(repo, ['rollback', 'last', '--to-iter', '1']);
+  assert.strictEqual(rollback.status, 0, rollback.stderr);
+  assert.strictEqual(lines(repo).length, 2);
+  assert.strictEqual(git(repo, ['rev-parse', `refs/codex-loop/backup/${runId}`]), tip);
+  const logs = fs.readdirSync(path.join(repo, '.codex_logs', runId));
+  assert.ok(!logs.includes('iter-2') && logs.some((name) => name.startsWith('rolled-back-')), logs.join(', '));
+  assert.strictEqual(readState(repo).iteration, 1);
+
+  const resumed = runLoop(repo, ['--resume'], { FAKE_DONE_AT: '3' });
+  assert.strictEqual(resumed.status, 0, resumed.stderr);
+  assert.strictEqual(readState(repo).iteration, 2);
+
+  // a second rollback of the same run keeps the first backup
+  const again = cli(repo, ['rollback', 'last', '--to-iter', '0']);
+  assert.strictEqual(again.status, 0, again.stderr);
+  assert.strictEqual(git(repo, ['rev-parse', `refs/codex-loop/backup/${runId}`]), tip);
+  assert.match(git(repo, ['for-each-ref', '--format=%(refname)', 'refs/codex-loop/backup/']), new RegExp(`${runId}-\\d`));
+  assert.deepStrictEqual(lines(repo), ['start']);
+});
+
+test('--squash-on-finish leaves one commit for the run', (t) => {
+  const repo = createRepo(t);
+  assert.strictEqual(runLoop(repo, ['--squash-on-finish'], { FAKE_DONE_AT: '4' }).status, 0);
+  assert.strictEqual(git(repo, ['rev-list', '--count', 'main..HEAD']), '1');
+  assert.strictEqual(lines(repo).length, 4);
+  assert.strictEqual(git(repo, ['rev-list', '--count', 'main..refs/codex-loop/backup/' + readState(repo).runId]), '3');
+});
+
+test('export writes patches that apply with git am', (t) => {
+  const repo = createRepo(t);
+  assert.strictEqual(runLoop(repo, [], { FAKE_DONE_AT: '3' }).status, 0);
+  const { runId } = readState(repo);
+  const out = path.join(repo, '..', 'handoff');
+  const result = cli(repo, ['export', 'last', '--out', out]);
+  assert.strictEqual(result.status, 0, result.stderr);
+  assert.ok(fs.existsSync(path.join(out, 'export.json')));
+  assert.ok(fs.existsSync(path.join(out, 'logs', runId, 'iter-2', 'meta.json')));
+
+  const patches = fs.readdirSync(path.join(out, 'patches')).sort().map((name) => path.join(out, 'patches', name));
+  assert.strictEqual(patches.length, 2);
+  git(repo, ['checkout', '-q', '-b', 'replayed', 'main']);
+  git(repo, ['am', '-q', ...patches]);
+  assert.strictEqual(lines(repo).length, 3);
+});
@@ -0,0 +1,69 @@
+const fs = require('fs');
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert');
+const { createRepo, cli, runLoop, nextSecond, readState } = require('./helpers');
+
+const SPEC = [
+  'goal: >',
+  '  Fill work.txt',
+  '  with lines.',
+  'projectType: Node   # skips the question',
+  'inScope:',
+  '  - work.txt',
+  'outScope: [CI, "docs, site"]',
+  'acceptanceCriteria:',
+  '  - "work.txt has four lines"  # quoted',
+  'commands:',
+  '  test: test "$(wc -l < work.txt)" -ge 4',
+  '  lint: ""',
+  ''
+].join('\n');
+
+function readPrompt(repo) {
+  return fs.readFileSync(path.join(repo, '.codex', 'CODEX_PROMPT.md'), 'utf8');
+}
+
+test('--spec builds the prompt from a YAML task and drives the run', (t) => {
+  const repo = createRepo(t);
+  const specPath = path.join(repo, '..', 'task.yaml');
+  fs.writeFileSync(specPath, SPEC);
+
+  const result = runLoop(repo, ['--spec', specPath, '--stop-when', 'test']);
+  assert.strictEqual(result.status, 0, result.stderr);
+  const prompt = readPrompt(repo);
+  assert.match(prompt, /## Goal\nFill work\.txt with lines\.\n/);
+  assert.match(prompt, /## In Scope\n- work\.txt\n/);
+  assert.match(prompt, /## Out of Scope\n- CI\n- docs, site\n/);
+  assert.match(prompt, /- work\.txt has four lines\n/);
+  assert.match(prompt, /- Test: test "\$\(wc -l < work\.txt\)" -ge 4\n/);
+  assert.strictEqual(readState(repo).iteration, 3);
+});
+
+test('task flags override the spec and work without one', async (t) => {
+  const repo = createRepo(t);
+  const specPath = path.join(repo, '..', 'task.yaml');
+  fs.writeFileSync(specPath, SPEC);
+  assert.strictEqual(cli(repo, ['--defaults', '--prompt-only', '--spec', specPath, '--goal', 'Something else', '--test-cmd', 'true']).status, 0);
+  assert.match(readPrompt(repo), /## Goal\nSomething else\n[\s\S]*- Test: true\n/);
+
+  await nextSecond();
+
+  assert.strictEqual(cli(repo, ['--defaults', '--prompt-only', '--goal', 'Only flags', '--accept', 'one', '--accept', 'two']).status, 0);
+  assert.match(readPrompt(repo), /## Goal\nOnly flags\n[\s\S]*- one\n- two\n/);
+});
+
+test('an invalid spec fails before anything runs', (t) => {
+  const repo = createRepo(t);
+  const specPath = path.join(repo, '..', 'task.yaml');
+  fs.writeFileSync(specPath, 'goal: fix\nbogus: 1\n');
+  const unknownKey = runLoop(repo, ['--spec', specPath]);
+  assert.strictEqual(unknownKey.status, 1);
+  assert.match(unknownKey.stderr, /bogus: unknown setting/);
+
+  fs.writeFileSync(specPath, 'goal: fix\ninScope:\n  - a\n   - b\n');
+  const badYaml = runLoop(repo, ['--spec', specPath]);
+  assert.strictEqual(badYaml.status, 1);
+  assert.match(badYaml.stderr, /task\.yaml:4: /);
+  assert.strictEqual(fs.readFileSync(path.join(repo, 'work.txt'), 'utf8'), 'start\n');
+});
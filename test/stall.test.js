@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createRepo, runLoop, readState } = require('./helpers');
+
+test('a gate that keeps failing the same way stalls the run', (t) => {
+  const repo = createRepo(t);
+  const result = runLoop(repo, ['--stall-threshold', '2'], { CODEX_LOOP_COMMANDS_TEST: 'echo still red; exit 1' });
+  assert.strictEqual(result.status, 3, result.stderr);
+  const state = readState(repo);
+  assert.strictEqual(state.stopReason, 'stalled');
+  assert.strictEqual(state.iteration, 3);
+  assert.strictEqual(state.stall.kind, 'unchanged-gates');
+  assert.strictEqual(state.stall.count, 2);
+});
+
+test('--on-stall escape asks for a blocker summary before stopping', (t) => {
+  const repo = createRepo(t);
+  const result = runLoop(repo, ['--stall-threshold', '2', '--on-stall', 'escape'], { FAKE_NOOP: '1', FAKE_FAIL_AT: '1' });
+  assert.strictEqual(result.status, 3, result.stderr);
+  const state = readState(repo);
+  assert.strictEqual(state.stall.kind, 'codex-failures');
+  assert.strictEqual(state.iteration, 3);
+  assert.match(state.stall.summary, /step 1/);
+});
+
+test('a threshold of 0 turns detection off', (t) => {
+  const repo = createRepo(t);
+  const result = runLoop(repo, ['--stall-threshold', '0', '--max-loops', '3'], { CODEX_LOOP_COMMANDS_TEST: 'exit 1' });
+  assert.strictEqual(result.status, 2, result.stderr);
+  assert.strictEqual(readState(repo).stopReason, 'max-loops');
+});
@@ -0,0 +1,40 @@
+const fs = require('fs');
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert');
+const { createRepo, runLoop, readState, readMeta } = require('./helpers');
+
+// passes once work.txt has at least `n` lines
+const enoughLines = (n) => `test "$(wc -l < work.txt)" -ge ${n}`;
+
+test('--stop-when ends the run on the first clause that holds', (t) => {
+  const repo = createRepo(t);
+  const result = runLoop(repo, ['--stop-when', 'promise && test'], { FAKE_DONE_AT: '2', CODEX_LOOP_COMMANDS_TEST: enoughLines(4) });
+  assert.strictEqual(result.status, 0, result.stderr);
+  const state = readState(repo);
+  assert.strictEqual(state.iteration, 3);
+  assert.strictEqual(state.stopReason, 'policy');
+  assert.strictEqual(state.stopClause, 'promise && test');
+
+  const meta = readMeta(repo, 2);
+  assert.strictEqual(meta.gates.find((gate) => gate.name === 'test').exitCode, 1);
+});
+
+test('a single gate term stops without the completion footer', (t) => {
+  const repo = createRepo(t);
+  const result = runLoop(repo, ['--stop-when', 'test'], { CODEX_LOOP_COMMANDS_TEST: enoughLines(3) });
+  assert.strictEqual(result.status, 0, result.stderr);
+  assert.strictEqual(readState(repo).iteration, 2);
+  assert.strictEqual(readState(repo).stopReason, 'tests-pass');
+});
+
+test('a policy with an unknown term or a gate without a command is rejected at startup', (t) => {
+  const repo = createRepo(t);
+  const unknown = runLoop(repo, ['--stop-when', 'promise && green']);
+  assert.strictEqual(unknown.status, 1);
+  assert.match(unknown.stderr, /green/);
+  const noCommand = runLoop(repo, ['--stop-when', 'build']);
+  assert.strictEqual(noCommand.status, 1);
+  assert.match(noCommand.stderr, /build/);
+  assert.strictEqual(fs.readFileSync(path.join(repo, 'work.txt'), 'utf8'), 'start\n');
+});
@@ -0,0 +1,63 @@
+const fs = require('fs');
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert');
+const { createRepo, cli } = require('./helpers');
+
+function readPrompt(repo) {
+  return fs.readFileSync(path.join(repo, '.codex', 'CODEX_PROMPT.md'), 'utf8');
+}
+
+test('a repo template renders conditionals, loops and partials', (t) => {
+  const repo = createRepo(t);
+  const templates = path.join(repo, '.codex', 'templates');
+  fs.mkdirSync(path.join(templates, 'partials'), { recursive: true });
+  fs.writeFileSync(path.join(templates, 'custom.md'), [
+    '# {{template}} on {{repo}}',
+    '{{#if testCommand}}',
+    'Run `{{testCommand}}`.',
+    '{{else}}',
+    'No tests.',
+    '{{/if}}',
+    '{{#each commands}}',
+    '{{@index}}. {{name}}: {{command}}',
+    '{{/each}}',
+    '{{#unless outScope}}',
+    'Nothing is out of scope.',
+    '{{/unless}}',
+    '',
+    '',
+    '{{> note}}',
+    '{{unknown}}',
+    ''
+  ].join('\n'));
+  fs.writeFileSync(path.join(templates, 'partials', 'note.md'), 'Keep it small.\n');
+
+  const result = cli(repo, ['--defaults', '--prompt-only', '--template', 'custom'], { CODEX_LOOP_COMMANDS_TEST: 'make check' });
+  assert.strictEqual(result.status, 0, result.stderr);
+  assert.strictEqual(readPrompt(repo), [
+    `# custom on ${path.basename(repo)}`,
+    'Run `make check`.',
+    '1. Test: make check',
+    'Nothing is out of scope.',
+    '',
+    'Keep it small.',
+    '',
+    '{{unknown}}',
+    ''
+  ].join('\n'));
+});
+
+test('built-in templates add their approach and an unknown name lists the choices', (t) => {
+  const repo = createRepo(t);
+  const bugfix = cli(repo, ['--defaults', '--prompt-only', '--template', 'bugfix']);
+  assert.strictEqual(bugfix.status, 0, bugfix.stderr);
+  const prompt = readPrompt(repo);
+  assert.match(prompt, /## Approach[\s\S]*failing test/);
+  assert.match(prompt, /PROMISE: true/);
+  assert.doesNotMatch(prompt, /\{\{/);
+
+  const unknown = cli(repo, ['--defaults', '--prompt-only', '--template', 'nope']);
+  assert.strictEqual(unknown.status, 1);
+  assert.match(unknown.stderr, /bugfix.*feature.*refactor.*tests/);
+});
@@ -0,0 +1,27 @@
+const fs = require('fs');
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert');
+const { createRepo, runLoop, readState, readMeta, git } = require('./helpers');
+
+test('--iteration-timeout kills a hanging agent and --on-timeout stop ends the run', (t) => {
+  const repo = createRepo(t);
+  const started = Date.now();
+  const result = runLoop(repo, ['--iteration-timeout', '1', '--on-timeout', 'stop'], { FAKE_SLEEP: '30' });
+  assert.ok(Date.now() - started < 20000, 'the agent and its children were killed');
+  assert.strictEqual(result.status, 4, result.stderr);
+
+  const state = readState(repo);
+  assert.strictEqual(state.stopReason, 'iteration-timeout');
+  assert.strictEqual(state.iteration, 1);
+  const meta = readMeta(repo, 1);
+  assert.deepStrictEqual(meta.timeouts.map(({ step, limit }) => ({ step, limit })), [{ step: 'codex', limit: 'iteration' }]);
+  assert.match(git(repo, ['log', '-1', '--format=%s']), /^codex-loop: iter 1/);
+});
+
+test('an iteration timeout keeps looping by default', (t) => {
+  const repo = createRepo(t);
+  const result = runLoop(repo, ['--iteration-timeout', '1', '--max-loops', '2'], { FAKE_SLEEP: '30' });
+  assert.strictEqual(result.status, 2, result.stderr);
+  assert.strictEqual(readState(repo).iteration, 2);
+});